@@ -6,45 +6,142 @@ let TILE_CONFIG = {
     UNIT: 60,
     // Gap for initial layout
     GAP: 10,
+    // Tile sizes in world coordinates. These don't change with the screen, so an
+    // arrangement stays put however it is resized; SCALE does the fitting instead.
+    // Only the x length changes, from the x length slider.
     SIZES: {
-        x: 200, // x tile length (and x^2 side)
+        x: 182.5, // x tile length (and x^2 side), 7.3 units so it can't pass for a whole number of them
+        y: 140, // y tile length (and y^2 side), not a whole number of units or of x
         u: 25   // unit tile side (and x tile width)
     },
-    COLORS: {
+    // Screen pixels per world pixel before zooming, set by updateTileConfig
+    SCALE: 1,
+    // Filled in from THEMES by applyTheme
+    COLORS: {}
+};
+
+const TILE_TYPES = ['x2', 'x', 'one', 'y2', 'y', 'xy'];
+
+/**
+ * Colour themes. Each negative type gets its own shade so overlapping cuts stay
+ * readable; `hatch` adds a per-type stripe pattern on negatives. `ink` and `guide`
+ * are for text and lines drawn on the board, `background` for exported images.
+ * applyTheme also hands the tile colours to the page as --tile-* CSS properties,
+ * so the palette and the board can't disagree.
+ */
+const THEMES = {
+    default: {
         x2: '#facc15',
         x: '#4ade80',
         one: '#60a5fa',
-        neg: '#ef4444',
-        stroke: 'rgba(255,255,255,0.4)'
+        y2: '#c084fc',
+        y: '#2dd4bf',
+        xy: '#fb923c',
+        neg: { x2: '#dc2626', x: '#f87171', one: '#fb7185', y2: '#9f1239', y: '#fda4af', xy: '#e11d48' },
+        stroke: 'rgba(255,255,255,0.4)',
+        label: 'rgba(0,0,0,0.5)',
+        ink: '#f8fafc',
+        guide: 'rgba(255,255,255,0.35)',
+        background: '#1e293b',
+        hatch: false
+    },
+    // Okabe-Ito colours, safe for the common forms of colour blindness
+    contrast: {
+        x2: '#e69f00',
+        x: '#56b4e9',
+        one: '#f0e442',
+        y2: '#009e73',
+        y: '#bfe6f5',
+        xy: '#ffffff',
+        neg: { x2: '#d55e00', x: '#0072b2', one: '#cc79a7', y2: '#005a41', y: '#004b75', xy: '#7a4a63' },
+        stroke: 'rgba(255,255,255,0.9)',
+        label: '#000000',
+        ink: '#ffffff',
+        guide: 'rgba(255,255,255,0.7)',
+        background: '#0a0a0a',
+        hatch: true
+    },
+    light: {
+        x2: '#eab308',
+        x: '#22c55e',
+        one: '#3b82f6',
+        y2: '#a855f7',
+        y: '#14b8a6',
+        xy: '#f97316',
+        neg: { x2: '#b91c1c', x: '#ef4444', one: '#e11d48', y2: '#881337', y: '#fb7185', xy: '#be123c' },
+        stroke: 'rgba(15,23,42,0.45)',
+        label: 'rgba(0,0,0,0.55)',
+        ink: '#0f172a',
+        guide: 'rgba(15,23,42,0.4)',
+        background: '#ffffff',
+        hatch: false
     }
 };
 
+const THEME_KEY = 'rectangulate-theme';
+
+// Stripes for negative palette tiles in themes with hatching
+const NEG_HATCH_CSS = 'repeating-linear-gradient(45deg, rgba(0, 0, 0, 0.45) 0 2px, transparent 2px 8px)';
+
+const applyTheme = (name) => {
+    const theme = THEMES[name] ? name : 'default';
+    const colors = THEMES[theme];
+    TILE_CONFIG.COLORS = { ...colors, neg: { ...colors.neg } };
+
+    // CSS names the unit tile "1"
+    const root = document.documentElement;
+    const cssType = (type) => type === 'one' ? '1' : type;
+    TILE_TYPES.forEach(type => {
+        root.style.setProperty(`--tile-${cssType(type)}`, colors[type]);
+        root.style.setProperty(`--tile-neg-${cssType(type)}`, colors.neg[type]);
+    });
+    root.style.setProperty('--tile-border', colors.stroke);
+    root.style.setProperty('--neg-hatch', colors.hatch ? NEG_HATCH_CSS : 'none');
+    root.dataset.theme = theme;
+    return theme;
+};
+
+applyTheme('default');
+
+// Screens narrower than FULL_SIZE_WIDTH draw the board smaller, but a unit tile
+// never drops below MIN_UNIT_PIXELS so it stays big enough to tap and read
+const FULL_SIZE_WIDTH = 960;
+const MIN_UNIT_PIXELS = 20;
+
 const updateTileConfig = () => {
-    if (window.innerWidth <= 768) {
-        // Mobile Sizing
-        TILE_CONFIG.SIZES.x = 100;
-        TILE_CONFIG.SIZES.u = 20;
-    } else {
-        // Desktop Sizing
-        TILE_CONFIG.SIZES.x = 200;
-        TILE_CONFIG.SIZES.u = 25;
-    }
+    const fit = window.innerWidth / FULL_SIZE_WIDTH;
+    TILE_CONFIG.SCALE = Math.min(1, Math.max(MIN_UNIT_PIXELS / TILE_CONFIG.SIZES.u, fit));
 };
 
 // Initialize config based on current width
 updateTileConfig();
 
+// View zoom limits
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 3;
+
+// x length slider, in unit lengths
+const MIN_X_LENGTH = 2;
+const MAX_X_LENGTH = 12;
+
+// Workspace persistence
+const STORAGE_KEY = 'rectangulate-workspace';
+const WORKSPACE_VERSION = 1;
+
 /**
  * Represents a single Algebra Tile
  */
 class Tile {
     constructor(type, x, y, isNegative = false) {
-        this.type = type; // 'x2', 'x', 'one'
+        this.type = type; // 'x2', 'x', 'one', 'y2', 'y', 'xy'
         this.x = x;
         this.y = y;
         this.isNegative = isNegative;
         this.rotation = 0; // 0 or 90 degrees (Math.PI / 2)
         this.isDragging = false;
+        this.isHighlighted = false; // Part of a detected zero pair
+        this.isSelected = false;
+        this.flipProgress = 0; // 1 right after a flip, eases back to 0
 
         // Dimensions based on type
         // x2 = UNIT * UNIT
@@ -60,21 +157,24 @@ class Tile {
 
         this.uSize = TILE_CONFIG.SIZES.u;
         this.xSize = TILE_CONFIG.SIZES.x;
+        this.ySize = TILE_CONFIG.SIZES.y;
 
         this.updateDimensions();
     }
 
     updateDimensions() {
-        if (this.type === 'x2') {
-            this.w = this.xSize;
-            this.h = this.xSize;
-        } else if (this.type === 'x') {
-            this.w = this.rotation === 0 ? this.xSize : this.uSize;
-            this.h = this.rotation === 0 ? this.uSize : this.xSize;
-        } else { // 'one'
-            this.w = this.uSize;
-            this.h = this.uSize;
-        }
+        // Unrotated long tiles lie flat: x and y are long across, xy is x across by y down
+        const sides = {
+            x2: [this.xSize, this.xSize],
+            x: [this.xSize, this.uSize],
+            one: [this.uSize, this.uSize],
+            y2: [this.ySize, this.ySize],
+            y: [this.ySize, this.uSize],
+            xy: [this.xSize, this.ySize]
+        };
+        const [w, h] = sides[this.type];
+        this.w = this.rotation === 0 ? w : h;
+        this.h = this.rotation === 0 ? h : w;
     }
 
     contains(mx, my) {
@@ -82,17 +182,53 @@ class Tile {
             my >= this.y && my <= this.y + this.h;
     }
 
+    overlapArea(other) {
+        const w = Math.min(this.x + this.w, other.x + other.w) - Math.max(this.x, other.x);
+        const h = Math.min(this.y + this.h, other.y + other.h) - Math.max(this.y, other.y);
+        return w > 0 && h > 0 ? w * h : 0;
+    }
+
+    // Squares look the same either way round
+    canRotate() {
+        return this.type === 'x' || this.type === 'y' || this.type === 'xy';
+    }
+
+    // Turns the tile a quarter turn about its centre
     rotate() {
-        if (this.type === 'x') {
+        if (this.canRotate()) {
+            const cx = this.x + this.w / 2;
+            const cy = this.y + this.h / 2;
             this.rotation = this.rotation === 0 ? 1 : 0;
             this.updateDimensions();
+            this.x = cx - this.w / 2;
+            this.y = cy - this.h / 2;
         }
     }
 
+    /**
+     * Toggles the sign in place and starts the flip animation.
+     */
+    flip() {
+        this.isNegative = !this.isNegative;
+        this.flipProgress = 1;
+    }
+
     draw(ctx) {
         ctx.save();
 
-        ctx.fillStyle = this.getColor();
+        // Flip animation: squash to an edge and open back up, showing the old
+        // colour for the first half of the turn
+        let isNegative = this.isNegative;
+        if (this.flipProgress > 0) {
+            const cx = this.x + this.w / 2;
+            const scale = Math.max(Math.abs(2 * this.flipProgress - 1), 0.02);
+            ctx.translate(cx, 0);
+            ctx.scale(scale, 1);
+            ctx.translate(-cx, 0);
+            if (this.flipProgress > 0.5) isNegative = !isNegative;
+        }
+
+        ctx.fillStyle = this.getColor(isNegative);
         ctx.strokeStyle = TILE_CONFIG.COLORS.stroke;
         ctx.lineWidth = 2;
 
@@ -103,26 +239,127 @@ class Tile {
         }
 
         ctx.fillRect(this.x, this.y, this.w, this.h);
+        if (isNegative && TILE_CONFIG.COLORS.hatch) this.drawHatch(ctx);
         ctx.strokeRect(this.x, this.y, this.w, this.h);
 
+        if (this.isSelected) {
+            ctx.strokeStyle = '#6366f1';
+            ctx.lineWidth = 3;
+            ctx.strokeRect(this.x + 1.5, this.y + 1.5, this.w - 3, this.h - 3);
+        }
+
+        if (this.isHighlighted) {
+            ctx.strokeStyle = TILE_CONFIG.COLORS.ink;
+            ctx.lineWidth = 3;
+            ctx.setLineDash([6, 4]);
+            ctx.strokeRect(this.x - 3, this.y - 3, this.w + 6, this.h + 6);
+            ctx.setLineDash([]);
+        }
+
         // Label
-        ctx.fillStyle = 'rgba(0,0,0,0.5)';
+        ctx.fillStyle = TILE_CONFIG.COLORS.label;
         ctx.font = '14px Inter';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
 
-        let label = '';
-        if (this.type === 'x2') label = 'x²';
-        else if (this.type === 'x') label = 'x';
-        else label = '1';
+        ctx.fillText(this.getLabel(), this.x + this.w / 2, this.y + this.h / 2);
+
+        ctx.restore();
+    }
+
+    /**
+     * Stripes for negative tiles, in a different direction per type:
+     * squares rising, x and y falling, units and xy cross-hatched.
+     */
+    drawHatch(ctx) {
+        const spacing = 8;
+        const { x, y, w, h } = this;
 
-        ctx.fillText(label, this.x + this.w / 2, this.y + this.h / 2);
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, w, h);
+        ctx.clip();
 
+        ctx.strokeStyle = 'rgba(0,0,0,0.45)';
+        ctx.lineWidth = 2;
+        ctx.shadowColor = 'transparent';
+        ctx.beginPath();
+        for (let d = -h; d < w; d += spacing) {
+            if (this.type !== 'x' && this.type !== 'y') {
+                ctx.moveTo(x + d, y + h);
+                ctx.lineTo(x + d + h, y);
+            }
+            if (this.type !== 'x2' && this.type !== 'y2') {
+                ctx.moveTo(x + d, y);
+                ctx.lineTo(x + d + h, y + h);
+            }
+        }
+        ctx.stroke();
         ctx.restore();
     }
 
-    getColor() {
-        if (this.isNegative) return TILE_CONFIG.COLORS.neg;
+    /**
+     * Side lengths as { x, y, c } forms (x * x + y * y + c), independent of pixel sizes.
+     */
+    getAlgebraicSize() {
+        const x = { x: 1, y: 0, c: 0 };
+        const y = { x: 0, y: 1, c: 0 };
+        const one = { x: 0, y: 0, c: 1 };
+
+        const sides = {
+            x2: [x, x],
+            x: [x, one],
+            one: [one, one],
+            y2: [y, y],
+            y: [y, one],
+            xy: [x, y]
+        };
+        const [w, h] = sides[this.type];
+        return this.rotation === 0 ? { w, h } : { w: h, h: w };
+    }
+
+    /**
+     * SVG equivalent of draw() for image export. Hatching refers to the
+     * #hatch-<type> patterns defined by App.exportSVG.
+     */
+    toSVG(colors = TILE_CONFIG.COLORS) {
+        const { x, y, w, h } = this;
+        const rect = `x="${x}" y="${y}" width="${w}" height="${h}"`;
+        const fill = this.isNegative ? colors.neg[this.type] : colors[this.type];
+
+        let svg = `<rect ${rect} fill="${fill}" stroke="${colors.stroke}" stroke-width="2"/>`;
+        if (this.isNegative && colors.hatch) {
+            svg += `<rect ${rect} fill="url(#hatch-${this.type})"/>`;
+        }
+        svg += `<text x="${x + w / 2}" y="${y + h / 2}" fill="${colors.label}" font-family="Inter" font-size="14" ` +
+            `text-anchor="middle" dominant-baseline="central">${this.getLabel()}</text>`;
+        return `<g>${svg}</g>`;
+    }
+
+    serialize() {
+        return {
+            type: this.type,
+            x: this.x,
+            y: this.y,
+            isNegative: this.isNegative,
+            rotation: this.rotation
+        };
+    }
+
+    static fromData(data) {
+        const tile = new Tile(data.type, data.x, data.y, data.isNegative);
+        tile.rotation = data.rotation;
+        tile.updateDimensions();
+        return tile;
+    }
+
+    getLabel() {
+        const labels = { x2: 'x²', x: 'x', one: '1', y2: 'y²', y: 'y', xy: 'xy' };
+        return labels[this.type];
+    }
+
+    getColor(isNegative = this.isNegative) {
+        if (isNegative) return TILE_CONFIG.COLORS.neg[this.type];
         return TILE_CONFIG.COLORS[this.type];
     }
 }
@@ -137,51 +374,201 @@ class App {
         this.tiles = [];
         this.dragTarget = null;
         this.dragOffset = { x: 0, y: 0 };
+        this.snapPreview = null; // Where the dragged tiles will land, as { dx, dy }
+        this.view = { scale: 1, offsetX: 0, offsetY: 0 }; // World to screen: world * scale + offset
+        this.pan = null; // Empty-space drag in progress
+        this.pinch = null; // Two-finger gesture in progress
+        this.mode = 'factor';
+        this.frame = null; // Multiplication frame (multiply mode)
+        this.mat = null; // Equation being solved (equation mode)
+        this.square = null; // Square being completed (square mode)
+        this.division = null; // Divisor side and result (divide mode)
+        this.hints = { key: null, level: 0, log: [] }; // Graded hints for the current target
+        this.hintMarks = null; // Gaps, strays, outline and tile drawn by the last hint
+        this.tray = null; // Slots of the tiles loaded from the equation
+        this.paletteSigns = Object.fromEntries(TILE_TYPES.map(type => [type, false])); // true = spawn negative
+        this.theme = applyTheme(this.loadTheme());
+        this.undoStack = [];
+        this.redoStack = [];
 
         this.resize();
         window.addEventListener('resize', () => this.resize());
 
         this.setupInputListeners();
         this.setupCanvasListeners();
+        this.updateHistoryButtons();
+
+        // A shared link wins over the autosaved board
+        if (!this.loadFromHash()) this.loadFromStorage();
+        window.addEventListener('hashchange', () => this.loadFromHash());
 
         // Initial render
         this.requestRender();
     }
 
     resize() {
+        const before = this.getScale();
         this.canvas.width = this.canvas.parentElement.clientWidth;
         this.canvas.height = this.canvas.parentElement.clientHeight;
         updateTileConfig(); // Check scale on resize
-        this.updateAllTileDimensions(); // Update existing tiles
-        this.requestRender();
-    }
 
-    updateAllTileDimensions() {
-        this.tiles.forEach(tile => {
-            tile.uSize = TILE_CONFIG.SIZES.u;
-            tile.xSize = TILE_CONFIG.SIZES.x;
-            tile.updateDimensions();
-        });
+        // Tiles keep their world positions; the whole board scales about the top left corner
+        const ratio = this.getScale() / before;
+        this.setView(this.view.scale, this.view.offsetX * ratio, this.view.offsetY * ratio);
     }
 
     setupInputListeners() {
 
+        document.getElementById('mode-select').addEventListener('change', (e) => {
+            this.setMode(e.target.value);
+        });
+
         document.getElementById('btn-confirm-equation').addEventListener('click', () => {
-            this.updateEquationDisplay();
+            if (this.mode === 'multiply') this.setupFrame();
+            else if (this.mode === 'equation') this.setupMat();
+            else if (this.mode === 'square') this.setupSquare();
+            else if (this.mode === 'divide') this.setupDivision();
+            else this.updateEquationDisplay();
+        });
+
+        // Equation Mat
+        document.querySelectorAll('.btn-mat').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const type = btn.getAttribute('data-type');
+                const isNegative = btn.getAttribute('data-negative') === 'true';
+                if (btn.getAttribute('data-action') === 'add') this.matAddBoth(type, isNegative);
+                else this.matRemoveBoth(type, isNegative);
+            });
+        });
+
+        document.getElementById('btn-mat-zero').addEventListener('click', () => {
+            this.matCancelZeroPairs();
+        });
+
+        document.getElementById('btn-mat-split').addEventListener('click', () => {
+            this.matSplit(parseInt(document.getElementById('mat-groups').value) || 0);
+        });
+
+        document.getElementById('btn-mat-keep').addEventListener('click', () => {
+            this.matKeepOneGroup();
+        });
+
+        // Completing the Square
+        document.getElementById('btn-square-fill').addEventListener('click', () => {
+            this.fillSquare();
         });
 
         document.getElementById('btn-solve').addEventListener('click', () => {
             this.solveAndAnimate();
         });
 
+        document.getElementById('btn-guide').addEventListener('click', () => {
+            this.startGuide();
+        });
+
+        document.getElementById('btn-guide-next').addEventListener('click', () => {
+            if (this.guide) this.showGuideStep(this.guide.step + 1);
+        });
+
+        document.getElementById('btn-guide-back').addEventListener('click', () => {
+            if (this.guide) this.showGuideStep(this.guide.step - 1);
+        });
+
+        document.getElementById('btn-guide-close').addEventListener('click', () => {
+            this.closeGuide();
+        });
+
+        document.getElementById('btn-undo').addEventListener('click', () => {
+            this.undo();
+        });
+
+        document.getElementById('btn-redo').addEventListener('click', () => {
+            this.redo();
+        });
+
+        window.addEventListener('keydown', (e) => {
+            // Leave text fields their own undo, and keys the canvas already handled
+            if (e.target instanceof Element && e.target.closest('input, select, textarea')) return;
+            if (e.defaultPrevented) return;
+
+            const key = e.key.toLowerCase();
+            if (!(e.ctrlKey || e.metaKey)) {
+                if (key === 'delete' || key === 'backspace') this.deleteSelection();
+                else if (key === 'f' && this.getSelection().length > 0) this.flipTiles(this.getSelection());
+                else if (key === 'escape') {
+                    this.clearSelection();
+                    this.requestRender();
+                }
+                return;
+            }
+
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            } else if (key === 'a') {
+                e.preventDefault();
+                this.selectAll();
+            } else if (key === 'd') {
+                e.preventDefault();
+                this.duplicateSelection();
+            }
+        });
+
+        // Selection Bar
+        document.getElementById('btn-sel-rotate').addEventListener('click', () => {
+            this.rotateSelection();
+        });
+
+        document.getElementById('btn-sel-duplicate').addEventListener('click', () => {
+            this.duplicateSelection();
+        });
+
+        document.getElementById('btn-sel-delete').addEventListener('click', () => {
+            this.deleteSelection();
+        });
+
+        document.getElementById('btn-fit').addEventListener('click', () => {
+            this.fitToContent();
+        });
+
+        document.getElementById('btn-load-tiles').addEventListener('click', () => {
+            this.loadTiles();
+        });
+
         document.getElementById('btn-reset').addEventListener('click', () => {
+            if (this.tiles.length > 0) this.recordHistory();
+            this.closeGuide();
+            this.dismissZeroPair();
             this.tiles = [];
+            this.tray = null;
             this.requestRender();
             this.hideFeedback();
+            this.checkSolution();
         });
 
         document.getElementById('btn-check').addEventListener('click', () => {
-            this.validateArrangement();
+            if (this.mode === 'practice') this.checkPracticeAttempt();
+            else this.validateArrangement();
+        });
+
+        // Practice Mode
+        document.getElementById('btn-practice-start').addEventListener('click', () => {
+            this.startPracticeSession();
+        });
+
+        document.getElementById('btn-practice-next').addEventListener('click', () => {
+            this.nextPracticeProblem();
+        });
+
+        document.getElementById('btn-practice-hint').addEventListener('click', () => {
+            this.showHint();
+        });
+
+        document.getElementById('btn-hint').addEventListener('click', () => {
+            this.showHint();
         });
 
         // Palette Listeners
@@ -206,6 +593,77 @@ class App {
 
             item.addEventListener('mousedown', handleStart);
             item.addEventListener('touchstart', handleStart, { passive: false });
+
+            // Keyboard: Enter or Space adds the tile and hands focus to the canvas to place it
+            item.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                e.preventDefault();
+                this.spawnTileFromKeyboard(item.getAttribute('data-type'));
+                this.canvas.focus();
+            });
+        });
+
+        document.querySelectorAll('.palette-sign').forEach(btn => {
+            btn.addEventListener('click', () => this.togglePaletteSign(btn.getAttribute('data-type')));
+        });
+
+        // Zero Pairs
+        document.querySelectorAll('.btn-zero-pair').forEach(btn => {
+            btn.addEventListener('click', () => this.addZeroPair(btn.getAttribute('data-type')));
+        });
+
+        document.getElementById('btn-remove-pair').addEventListener('click', () => {
+            this.removeZeroPair();
+        });
+
+        document.getElementById('btn-keep-pair').addEventListener('click', () => {
+            this.dismissZeroPair();
+        });
+
+        // x Length
+        const xLength = document.getElementById('x-length');
+        const xValue = document.getElementById('x-value');
+        xLength.addEventListener('input', () => this.setXLength(parseFloat(xLength.value)));
+        xValue.addEventListener('change', () => this.setXLength(parseFloat(xValue.value)));
+
+        // Theme
+        const themeSelect = document.getElementById('theme-select');
+        themeSelect.value = this.theme;
+        themeSelect.addEventListener('change', () => this.setTheme(themeSelect.value));
+
+        // Workspace Save / Load / Share
+        document.querySelectorAll('.sidebar input[type="number"]').forEach(input => {
+            input.addEventListener('input', () => this.saveWorkspace());
+        });
+
+        document.getElementById('btn-export-json').addEventListener('click', () => {
+            this.exportWorkspace();
+        });
+
+        const fileInput = document.getElementById('file-import');
+        document.getElementById('btn-import-json').addEventListener('click', () => {
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) this.importWorkspace(fileInput.files[0]);
+            fileInput.value = '';
+        });
+
+        document.getElementById('btn-share').addEventListener('click', () => {
+            this.shareWorkspace();
+        });
+
+        document.getElementById('btn-worksheet').addEventListener('click', () => {
+            this.createWorksheet();
+        });
+
+        document.getElementById('btn-export-png').addEventListener('click', () => {
+            this.exportPNG();
+        });
+
+        document.getElementById('btn-export-svg').addEventListener('click', () => {
+            this.exportSVG();
         });
 
         // Feedback Close Button
@@ -214,475 +672,3962 @@ class App {
         });
     }
 
-    hideFeedback() {
-        const fb = document.getElementById('feedback');
-        fb.classList.add('hidden');
-        fb.classList.remove('show');
+    /**
+     * Equation Mat: the canvas splits down the middle into the two sides of
+     * ax + b = cx + d. Tiles belong to whichever side their centre is on. The
+     * mat is balanced while left − right stays a multiple of the original
+     * equation's, which every both-sides operation preserves.
+     */
+    getMatInputs() {
+        const read = (id) => parseInt(document.getElementById(id).value) || 0;
+        return {
+            left: { x: read('mat-left-x'), c: read('mat-left-c') },
+            right: { x: read('mat-right-x'), c: read('mat-right-c') }
+        };
     }
 
-    showFeedback(message, isSuccess) {
-        const fb = document.getElementById('feedback');
-        const msg = fb.querySelector('.message');
-        msg.textContent = message;
-        fb.classList.remove('hidden');
-        fb.classList.add('show');
+    setupMat() {
+        const equation = this.getMatInputs();
 
-        if (isSuccess) {
-            fb.style.borderColor = 'var(--success)';
-            fb.style.background = 'rgba(16, 185, 129, 0.1)';
-        } else {
-            fb.style.borderColor = 'var(--error)';
-            fb.style.background = 'rgba(239, 68, 68, 0.1)';
+        if (equation.left.x === equation.right.x) {
+            this.showFeedback("Both sides have the same number of x's, so there's no single solution to find.", false);
+            return;
         }
-    }
 
-    setupCanvasListeners() {
-        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
-        window.addEventListener('mousemove', this.handleMouseMove.bind(this)); // Window for drag out
-        window.addEventListener('mouseup', this.handleMouseUp.bind(this));
-        this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
+        if (this.tiles.length > 0) this.recordHistory();
+        this.hideFeedback();
+        this.dismissZeroPair();
+        this.mat = { equation, solved: false, area: this.getViewRect() };
 
-        // Touch Listeners
-        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
-        window.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
-        window.addEventListener('touchend', this.handleTouchEnd.bind(this));
+        this.tiles = [];
+        this.tray = null;
+        for (const side of ['left', 'right']) {
+            const { x, c } = equation[side];
+            for (let i = 0; i < Math.abs(x); i++) this.tiles.push(this.createMatTile('x', x < 0));
+            for (let i = 0; i < Math.abs(c); i++) this.tiles.push(this.createMatTile('one', c < 0));
+            this.arrangeMatSide(side, this.tiles.slice(this.tiles.length - Math.abs(x) - Math.abs(c)));
+        }
+
+        // A fresh mat is dealt straight into place
+        for (const t of this.tiles) {
+            t.x = t.targetX;
+            t.y = t.targetY;
+        }
+
+        this.finishMatStep();
     }
 
-    handleTouchStart(e) {
-        if (e.touches.length > 1) return; // Ignore multi-touch
-        e.preventDefault();
-        const touch = e.touches[0];
-        const mouseEvent = new MouseEvent('mousedown', {
-            clientX: touch.clientX,
-            clientY: touch.clientY
-        });
+    // x tiles stand upright on the mat so a side's tiles fit in a compact block
+    createMatTile(type, isNegative) {
+        const tile = new Tile(type, 0, 0, isNegative);
+        if (type === 'x') tile.rotate();
+        return tile;
+    }
 
-        // Double Tap Detection
-        const now = Date.now();
-        if (this.lastTap && (now - this.lastTap) < 300) {
-            this.handleDoubleClick(mouseEvent);
-            this.lastTap = null;
-        } else {
-            this.lastTap = now;
-            this.handleMouseDown(mouseEvent);
-        }
+    getMatDivider() {
+        return this.mat.area.x + this.mat.area.w / 2;
     }
 
-    handleTouchMove(e) {
-        if (e.touches.length > 1) return;
+    getMatSide(tile) {
+        return tile.x + tile.w / 2 < this.getMatDivider() ? 'left' : 'right';
+    }
 
-        // Only prevent default if we are actively dragging a tile
-        if (this.dragTarget) {
-            e.preventDefault();
+    getMatTiles(side) {
+        return this.tiles.filter(t => this.getMatSide(t) === side);
+    }
+
+    /**
+     * Net { x, c } on each side of the mat.
+     */
+    getMatTotals() {
+        const totals = { left: { x: 0, c: 0 }, right: { x: 0, c: 0 } };
+        for (const t of this.tiles) {
+            if (t.type !== 'x' && t.type !== 'one') continue;
+            totals[this.getMatSide(t)][t.type === 'x' ? 'x' : 'c'] += t.isNegative ? -1 : 1;
         }
+        return totals;
+    }
 
-        const touch = e.touches[0];
-        const mouseEvent = new MouseEvent('mousemove', {
-            clientX: touch.clientX,
-            clientY: touch.clientY
+    /**
+     * Lines up one side's tiles in `groups` equal blocks, side by side: x tiles
+     * in a row with units in rows of five below. Positive tiles come before
+     * negative ones so zero pairs are easy to spot. Tiles slide into place.
+     */
+    arrangeMatSide(side, tiles, groups = 1) {
+        const U = TILE_CONFIG.SIZES.u;
+        const gap = TILE_CONFIG.GAP;
+        const order = (t) => (t.type === 'x' ? 0 : 2) + (t.isNegative ? 1 : 0);
+        const sorted = [...tiles].sort((t1, t2) => order(t1) - order(t2));
+
+        // Deal the tiles round the groups so each gets the same share of every kind
+        const dealt = Array.from({ length: groups }, () => []);
+        sorted.forEach((t, i) => dealt[i % groups].push(t));
+
+        // Groups wrap onto new rows before they reach the other side, which
+        // getMatSide would otherwise count them on
+        const left = (side === 'left' ? this.mat.area.x : this.getMatDivider()) + 40;
+        const right = (side === 'left' ? this.getMatDivider() : this.mat.area.x + this.mat.area.w) - 20;
+        const perRow = Math.max(1, Math.floor((right - left + gap) / (U + gap)));
+        let groupX = left;
+        let top = this.mat.area.y + 80;
+        let rowHeight = 0;
+
+        dealt.forEach((group, index) => {
+            const xTiles = group.filter(t => t.type === 'x');
+            const units = group.filter(t => t.type !== 'x');
+            const xColumns = Math.min(xTiles.length, perRow);
+            const unitColumns = Math.min(units.length, 5, perRow);
+            const xRows = Math.ceil(xTiles.length / perRow);
+            const unitRows = Math.ceil(units.length / unitColumns || 0);
+
+            const columns = Math.max(xColumns, unitColumns, 1);
+            if (groupX > left && groupX + columns * (U + gap) - gap > right) {
+                groupX = left;
+                top += rowHeight + 3 * gap;
+                rowHeight = 0;
+            }
+
+            const unitsTop = top + xRows * (TILE_CONFIG.SIZES.x + 2 * gap);
+            xTiles.forEach((t, i) => {
+                t.targetX = groupX + (i % perRow) * (U + gap);
+                t.targetY = top + Math.floor(i / perRow) * (TILE_CONFIG.SIZES.x + 2 * gap);
+            });
+            units.forEach((t, i) => {
+                t.targetX = groupX + (i % unitColumns) * (U + gap);
+                t.targetY = unitsTop + Math.floor(i / unitColumns) * (U + gap);
+            });
+            group.forEach(t => t.matGroup = groups > 1 ? index : undefined);
+
+            rowHeight = Math.max(rowHeight, unitsTop - top + unitRows * (U + gap));
+            groupX += columns * (U + gap) + 3 * gap;
         });
-        this.handleMouseMove(mouseEvent);
     }
 
-    handleTouchEnd(e) {
-        const mouseEvent = new MouseEvent('mouseup', {});
-        this.handleMouseUp(mouseEvent);
+    finishMatStep() {
+        this.isAnimating = true;
+        this.clearSelection();
+        this.requestRender();
+        this.checkSolution();
     }
 
-    spawnTileFromMouse(e, type) {
-        const isNeg = document.getElementById('chk-negative').checked;
-        const rect = this.canvas.getBoundingClientRect();
-
-        // Start position relative to canvas
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+    matAddBoth(type, isNegative) {
+        if (!this.requireMat()) return;
+
+        this.recordHistory();
+        for (const side of ['left', 'right']) {
+            const tiles = this.getMatTiles(side);
+            const tile = this.createMatTile(type, isNegative);
+            // Start from the divider so the new tiles visibly arrive on both sides
+            tile.x = this.getMatDivider() - tile.w / 2 + (side === 'left' ? -1 : 1) * tile.w;
+            tile.y = 20;
+            this.tiles.push(tile);
+            this.arrangeMatSide(side, [...tiles, tile]);
+        }
+        this.finishMatStep();
+    }
 
-        // Center the tile on mouse slightly
-        // We don't know dimensions perfectly until created, but we can guess.
-        // It will snap to mouse in handleMouseMove anyway.
+    matRemoveBoth(type, isNegative) {
+        if (!this.requireMat()) return;
 
-        const newTile = new Tile(type, x, y, isNeg);
+        const matches = ['left', 'right'].map(side =>
+            this.getMatTiles(side).find(t => t.type === type && t.isNegative === isNegative));
+        if (matches.includes(undefined)) {
+            const label = `${isNegative ? '−' : '+'}${type === 'x' ? 'x' : '1'}`;
+            this.showFeedback(`Both sides need a ${label} tile to remove. Add a zero pair to the side without one.`, false);
+            return;
+        }
 
-        // Center it
-        newTile.x -= newTile.w / 2;
-        newTile.y -= newTile.h / 2;
+        this.recordHistory();
+        this.tiles = this.tiles.filter(t => !matches.includes(t));
+        ['left', 'right'].forEach(side => this.arrangeMatSide(side, this.getMatTiles(side)));
+        this.finishMatStep();
+    }
 
-        this.tiles.push(newTile);
-        this.dragTarget = newTile;
-        this.dragTarget.isDragging = true;
+    /**
+     * Removes every zero pair within each side.
+     */
+    matCancelZeroPairs() {
+        if (!this.requireMat()) return;
+
+        const removed = [];
+        for (const side of ['left', 'right']) {
+            const tiles = this.getMatTiles(side);
+            for (const type of ['x', 'one']) {
+                const pos = tiles.filter(t => t.type === type && !t.isNegative);
+                const neg = tiles.filter(t => t.type === type && t.isNegative);
+                const pairs = Math.min(pos.length, neg.length);
+                removed.push(...pos.slice(0, pairs), ...neg.slice(0, pairs));
+            }
+        }
 
-        // Calculate offset so it doesn't jump
-        // Mouse is at x, y (canvas relative)
-        // Tile is at newTile.x, newTile.y
-        this.dragOffset = {
-            x: x - newTile.x,
-            y: y - newTile.y
-        };
+        if (removed.length === 0) {
+            this.showFeedback("There are no zero pairs on the mat.", false);
+            return;
+        }
 
-        this.requestRender();
+        this.recordHistory();
+        this.dismissZeroPair();
+        this.tiles = this.tiles.filter(t => !removed.includes(t));
+        ['left', 'right'].forEach(side => this.arrangeMatSide(side, this.getMatTiles(side)));
+        this.finishMatStep();
     }
 
-    generateTiles(a, b, c) {
-        this.tiles = [];
-        let startX = 50;
-        let startY = 50;
-        const gap = TILE_CONFIG.GAP;
+    /**
+     * Arranges both sides into k equal groups, ready to keep one of each.
+     */
+    matSplit(k) {
+        if (!this.requireMat()) return;
 
-        // Add x^2 tiles
-        for (let i = 0; i < Math.abs(a); i++) {
-            this.tiles.push(new Tile('x2', startX, startY, a < 0));
-            startX += TILE_CONFIG.SIZES.x + gap; // Simple layout spacing
+        if (k < 2) {
+            this.showFeedback("Split into at least 2 groups.", false);
+            return;
         }
 
-        // Add x tiles
-        startX = 50;
-        startY += 120;
-        for (let i = 0; i < Math.abs(b); i++) {
-            this.tiles.push(new Tile('x', startX, startY, b < 0));
-            startX += 50;
-            if (i % 10 === 9) { // Wrap
-                startX = 50;
-                startY += 110;
+        for (const side of ['left', 'right']) {
+            const tiles = this.getMatTiles(side);
+            for (const type of ['x', 'one']) {
+                const ofType = tiles.filter(t => t.type === type);
+                if (ofType.some(t => t.isNegative) && ofType.some(t => !t.isNegative)) {
+                    this.showFeedback("Remove the zero pairs first so each group gets the same tiles.", false);
+                    return;
+                }
+                if (ofType.length % k !== 0) {
+                    this.showFeedback(`The ${side} side can't be split into ${k} equal groups.`, false);
+                    return;
+                }
             }
         }
 
-        // Add 1 tiles
-        startX = 50;
-        startY += 120;
-        for (let i = 0; i < Math.abs(c); i++) {
-            this.tiles.push(new Tile('one', startX, startY, c < 0));
-            startX += 50;
+        this.recordHistory();
+        ['left', 'right'].forEach(side => this.arrangeMatSide(side, this.getMatTiles(side), k));
+        this.finishMatStep();
+    }
+
+    matKeepOneGroup() {
+        if (!this.tiles.some(t => t.matGroup > 0)) {
+            this.showFeedback("Split both sides into equal groups first.", false);
+            return;
         }
 
-        this.requestRender();
+        this.recordHistory();
+        this.tiles = this.tiles.filter(t => !(t.matGroup > 0));
+        ['left', 'right'].forEach(side => this.arrangeMatSide(side, this.getMatTiles(side)));
+        this.finishMatStep();
     }
 
-    handleMouseDown(e) {
+    requireMat() {
+        if (!this.mat) {
+            this.showFeedback("Press OK to set up the equation first.", false);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Checks the mat is balanced, and whether x is alone on one side. Shows
+     * the solution the first time x is isolated, even when silent.
+     */
+    checkMat(silent) {
+        if (!this.mat) {
+            if (!silent) this.showFeedback("Press OK to set up the equation first.", false);
+            return false;
+        }
+
+        const { equation } = this.mat;
+        const totals = this.getMatTotals();
+        const start = { x: equation.left.x - equation.right.x, c: equation.left.c - equation.right.c };
+        const now = { x: totals.left.x - totals.right.x, c: totals.left.c - totals.right.c };
+
+        // left − right must be a non-zero multiple of the original left − right
+        const balanced = now.x !== 0 && now.x * start.c === now.c * start.x;
+        if (!balanced) {
+            if (this.mat.solved) this.hideFeedback();
+            this.mat.solved = false;
+            if (!silent) {
+                this.showFeedback("The mat is out of balance. Whatever you do to one side, do to the other.", false);
+            }
+            return false;
+        }
+
+        const solution = this.getIsolatedValue();
+        if (solution === null) {
+            if (this.mat.solved) this.hideFeedback();
+            this.mat.solved = false;
+            if (!silent) this.showFeedback("Balanced. Keep going until a single x is alone on one side.", true);
+            return false;
+        }
+
+        if (!silent || !this.mat.solved) {
+            this.showFeedback(`x is on its own: x = ${this.formatLinear(0, solution)}. Solved!`, true);
+        }
+        this.mat.solved = true;
+        return true;
+    }
+
+    /**
+     * The value of x when one side holds a single positive x tile and the other
+     * only units of one sign; otherwise null.
+     */
+    getIsolatedValue() {
+        for (const [xSide, otherSide] of [['left', 'right'], ['right', 'left']]) {
+            const xTiles = this.getMatTiles(xSide);
+            const others = this.getMatTiles(otherSide);
+
+            const loneX = xTiles.length === 1 && xTiles[0].type === 'x' && !xTiles[0].isNegative;
+            const onlyUnits = others.every(t => t.type === 'one' && t.isNegative === others[0].isNegative);
+            if (loneX && onlyUnits) return others.length * (others.length > 0 && others[0].isNegative ? -1 : 1);
+        }
+        return null;
+    }
+
+    getMatReadout() {
+        if (!this.mat) return 'Mat: press OK to start';
+
+        const { left, right } = this.getMatTotals();
+        const { equation } = this.mat;
+        const start = { x: equation.left.x - equation.right.x, c: equation.left.c - equation.right.c };
+        const now = { x: left.x - right.x, c: left.c - right.c };
+        const balanced = now.x !== 0 && now.x * start.c === now.c * start.x;
+
+        const text = `${this.formatLinear(left.x, left.c)} = ${this.formatLinear(right.x, right.c)}`;
+        return `Mat: $${this.toTeX(text)}$ ${balanced ? '(balanced)' : '(out of balance)'}`;
+    }
+
+    drawMat(ctx) {
+        const divider = this.getMatDivider();
+        const { y: top, h: height } = this.mat.area;
+        const mid = top + height / 2;
+
+        ctx.save();
+        ctx.strokeStyle = TILE_CONFIG.COLORS.guide;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([10, 8]);
+        ctx.beginPath();
+        ctx.moveTo(divider, top + 20);
+        ctx.lineTo(divider, top + height - 20);
+        ctx.stroke();
+
+        // Equals sign on the divider
+        ctx.setLineDash([]);
+        ctx.fillStyle = TILE_CONFIG.COLORS.background;
+        ctx.beginPath();
+        ctx.arc(divider, mid, 18, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.fillStyle = TILE_CONFIG.COLORS.ink;
+        ctx.font = '24px Outfit';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('=', divider, mid);
+
+        // Outline each group after a split
+        ctx.strokeStyle = TILE_CONFIG.COLORS.ink;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([6, 4]);
+        const groups = new Map();
+        for (const t of this.tiles) {
+            if (t.matGroup === undefined) continue;
+            const key = `${this.getMatSide(t)}-${t.matGroup}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(t);
+        }
+        for (const group of groups.values()) {
+            const b = this.getBounds(group);
+            ctx.strokeRect(b.x - 8, b.y - 8, b.w + 16, b.h + 16);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Completing the Square: the x tiles of ax^2 + bx + c are split evenly
+     * along two sides of each x^2 tile, leaving ghost units in the corners.
+     * Filling the corners with units (plus matching zero pairs to keep the
+     * value) turns the board into a(x + h)^2 + k.
+     */
+    buildSquare(poly) {
+        const { a, b } = poly;
+        if (a === 0 || this.hasYTerms(poly) || b % (2 * a) !== 0) return null;
+
+        // One (x + h)^2 per x^2 tile, flipped when a is negative
+        const h = b / (2 * a);
+        const sign = Math.sign(a);
+        const layout = this.computeFactorLayout({ m: 1, n: sign, p: h, q: sign * h });
+        if (!layout) return null;
+
+        const U = TILE_CONFIG.SIZES.u;
+        const gap = 2 * U;
+        const copies = Math.abs(a);
+        const width = copies * layout.width + (copies - 1) * gap;
+
+        // Room under the squares for the constant and the zero pairs
+        const view = this.getViewRect();
+        const x = Math.round(view.x + (view.w - width) / 2);
+        const y = Math.round(view.y + Math.max(20, (view.h - layout.height) / 2 - 2 * U));
+
+        const tiles = [];
+        const ghosts = [];
+        for (let i = 0; i < copies; i++) {
+            const left = x + i * (layout.width + gap);
+            for (const spec of layout.tiles) {
+                const target = { ...spec, x: left + spec.x, y: y + spec.y };
+                if (spec.type === 'one') ghosts.push(target);
+                else tiles.push(target);
+            }
+        }
+
+        return { a, h, x, y, width, height: layout.height, tiles, ghosts, vertex: null };
+    }
+
+    /**
+     * Builds the square for the entered quadratic with its corners left empty.
+     * Returns false (with feedback) when the quadratic can't be drawn that way.
+     */
+    setupSquare() {
+        const poly = this.getCoefficients();
+
+        if (poly.a === 0) {
+            this.showFeedback("Enter a non-zero x² coefficient to complete the square.", false);
+            return false;
+        }
+        if (this.hasYTerms(poly)) {
+            this.showFeedback("Completing the square works with quadratics in x only.", false);
+            return false;
+        }
+        if (poly.b === 0) {
+            this.showFeedback(`There are no x tiles to split: ${this.formatPolynomial(poly)} is already in vertex form.`, false);
+            return false;
+        }
+        if (poly.b % (2 * poly.a) !== 0) {
+            this.showFeedback(`The x tiles can't be split evenly: b must be a multiple of ${2 * Math.abs(poly.a)}.`, false);
+            return false;
+        }
+
+        const square = this.buildSquare(poly);
+        if (!square) {
+            this.showFeedback("This square can't be drawn at this x length. Try another x length.", false);
+            return false;
+        }
+
+        if (this.tiles.length > 0) this.recordHistory();
+        this.hideFeedback();
+        this.dismissZeroPair();
+        this.square = square;
+        this.isAnimating = false;
+
+        // The constant goes straight under the square while the square itself slides together
+        this.tiles = [];
+        this.tray = null;
+        for (let i = 0; i < Math.abs(poly.c); i++) this.tiles.push(new Tile('one', 0, 0, poly.c < 0));
+        this.arrangeSquareUnits(true);
+
+        const tiles = square.tiles.map(spec => {
+            const t = new Tile(spec.type, 0, 0, spec.isNegative);
+            t.rotation = spec.rotation;
+            t.updateDimensions();
+            t.targetX = spec.x;
+            t.targetY = spec.y;
+            return t;
+        });
+        this.placeInRows(tiles);
+        this.tiles = [...tiles, ...this.tiles];
+
+        this.isAnimating = true;
+        this.requestRender();
+        this.checkSolution();
+        this.updateEquationDisplay();
+        return true;
+    }
+
+    /**
+     * The unit tile sitting in a ghost's spot, if any.
+     */
+    getGhostTile(ghost) {
+        const tolerance = TILE_CONFIG.SIZES.u / 2;
+        return this.tiles.find(t => t.type === 'one' && t.isNegative === ghost.isNegative &&
+            Math.abs(t.x - ghost.x) < tolerance && Math.abs(t.y - ghost.y) < tolerance);
+    }
+
+    /**
+     * Lines up the units outside the corners in rows under the squares,
+     * positives first. New tiles start where they'll end up when `place` is set.
+     */
+    arrangeSquareUnits(place = false) {
+        const U = TILE_CONFIG.SIZES.u;
+        const gap = TILE_CONFIG.GAP;
+        const perRow = Math.max(5, Math.floor(this.square.width / (U + gap)));
+        const corners = this.square.ghosts.map(g => this.getGhostTile(g));
+        const loose = this.tiles.filter(t => t.type === 'one' && !corners.includes(t))
+            .sort((t1, t2) => t1.isNegative - t2.isNegative);
+
+        const top = this.square.y + this.square.height + 2 * U;
+        loose.forEach((t, i) => {
+            t.targetX = this.square.x + (i % perRow) * (U + gap);
+            t.targetY = top + Math.floor(i / perRow) * (U + gap);
+            if (place) {
+                t.x = t.targetX;
+                t.y = t.targetY;
+            }
+        });
+
+        // Everything else stays put while the units slide, or keeps heading
+        // where it was going if the square is still coming together
+        if (this.isAnimating) return;
+        for (const t of this.tiles) {
+            if (t.type !== 'one' || corners.includes(t)) {
+                t.targetX = t.x;
+                t.targetY = t.y;
+            }
+        }
+    }
+
+    /**
+     * Puts a unit in every empty corner spot, each with an opposite unit
+     * beside the square so the board's value doesn't change.
+     */
+    fillSquare(record = true) {
+        if (!this.square) {
+            this.showFeedback("Press OK to build the square first.", false);
+            return;
+        }
+
+        const empty = this.square.ghosts.filter(g => !this.getGhostTile(g));
+        if (empty.length === 0) {
+            this.showFeedback("The corner is already filled.", false);
+            return;
+        }
+
+        if (record) this.recordHistory();
+        this.dismissZeroPair();
+
+        for (const ghost of empty) {
+            // Drop the corner unit straight in; its partner slides out from the corner
+            const corner = new Tile('one', ghost.x, ghost.y, ghost.isNegative);
+            corner.targetX = ghost.x;
+            corner.targetY = ghost.y;
+            this.tiles.push(corner, new Tile('one', ghost.x, ghost.y, !ghost.isNegative));
+        }
+        this.arrangeSquareUnits();
+
+        this.isAnimating = true;
+        this.clearSelection();
+        this.requestRender();
+        this.checkSolution();
+    }
+
+    /**
+     * Reads a(x + h)^2 + k off the board once every corner spot holds a unit:
+     * h from the square, k from the units outside it. Shows the vertex form the
+     * first time the square is complete, even when silent.
+     */
+    checkSquare(silent) {
+        const square = this.square;
+        if (!square) {
+            if (!silent) this.showFeedback("Press OK to build the square first.", false);
+            return false;
+        }
+
+        const previous = square.vertex;
+        square.vertex = null;
+
+        const corners = square.ghosts.map(g => this.getGhostTile(g));
+        const total = this.getBoardTotal(this.tiles);
+        const target = this.getCoefficients();
+
+        if (corners.includes(undefined)) {
+            if (!silent) {
+                const filled = corners.filter(Boolean).length;
+                this.showFeedback(`${filled} of ${corners.length} corner units are in place. ` +
+                    "Fill the corner to complete the square.", false);
+            }
+            return this.finishSquareCheck(previous);
+        }
+
+        if (!this.samePolynomial(total, target)) {
+            if (!silent) {
+                this.showFeedback("The board's value has changed. Every unit added to the corner needs a zero pair.", false);
+            }
+            return this.finishSquareCheck(previous);
+        }
+
+        const k = this.tiles.filter(t => t.type === 'one' && !corners.includes(t))
+            .reduce((sum, t) => sum + (t.isNegative ? -1 : 1), 0);
+        square.vertex = this.formatVertex(square.a, square.h, k);
+
+        if (!silent || !previous) {
+            this.showFeedback(`Square complete: ${this.formatPolynomial(target)} = ${square.vertex}`, true);
+        }
+        return this.finishSquareCheck(previous);
+    }
+
+    // Keeps the equation display in step when the vertex form appears or goes
+    finishSquareCheck(previous) {
+        const { vertex } = this.square;
+        if (vertex !== previous) {
+            if (previous && !vertex) this.hideFeedback();
+            this.updateEquationDisplay();
+        }
+        return !!vertex;
+    }
+
+    /**
+     * Formats a(x + h)^2 + k as plain text, e.g. "2(x − 1)² + 3".
+     */
+    formatVertex(a, h, k) {
+        const lead = a === 1 ? '' : a === -1 ? '−' : `${a}`;
+        const squared = h === 0 ? 'x²' : `(${this.formatLinear(1, h)})²`;
+        const constant = k === 0 ? '' : k < 0 ? ` − ${-k}` : ` + ${k}`;
+        return `${lead}${squared}${constant}`;
+    }
+
+    drawSquareGhosts(ctx) {
+        const U = TILE_CONFIG.SIZES.u;
+
+        ctx.save();
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([4, 3]);
+        for (const ghost of this.square.ghosts) {
+            if (this.getGhostTile(ghost)) continue;
+            ctx.globalAlpha = 0.25;
+            ctx.fillStyle = ghost.isNegative ? TILE_CONFIG.COLORS.neg.one : TILE_CONFIG.COLORS.one;
+            ctx.fillRect(ghost.x, ghost.y, U, U);
+            ctx.globalAlpha = 0.8;
+            ctx.strokeStyle = TILE_CONFIG.COLORS.ink;
+            ctx.strokeRect(ghost.x + 0.5, ghost.y + 0.5, U - 1, U - 1);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Division: the divisor is fixed as the left side of a band across the
+     * canvas. Tiles inside the band must form a rectangle against it, whose
+     * other side is the quotient; tiles left outside are the remainder.
+     */
+    getDivisorInputs() {
+        return {
+            x: parseInt(document.getElementById('divisor-m').value) || 0,
+            y: 0,
+            c: parseInt(document.getElementById('divisor-p').value) || 0
+        };
+    }
+
+    setupDivision() {
+        const poly = this.getCoefficients();
+        const divisor = this.getDivisorInputs();
+
+        if (poly.a <= 0 || this.hasYTerms(poly)) {
+            this.showFeedback("Division by tiles needs a quadratic in x with a positive x² coefficient.", false);
+            return;
+        }
+        if (divisor.x < 1) {
+            this.showFeedback("The divisor needs at least one x tile.", false);
+            return;
+        }
+
+        const division = this.buildDivision(divisor);
+        if (!division) {
+            this.showFeedback("A divisor can't be shorter than nothing. Check its negative constant.", false);
+            return;
+        }
+
+        if (this.tiles.length > 0) this.recordHistory();
+        this.hideFeedback();
+        this.closeGuide();
+        this.dismissZeroPair();
+        this.division = division;
+
+        // The dividend's tiles start in rows under the band, out of the rectangle
+        this.generateTiles(poly);
+        const shift = division.y + division.height + 3 * TILE_CONFIG.SIZES.u - Math.min(...this.tiles.map(t => t.y));
+        this.tiles.forEach(t => t.y += shift);
+
+        this.checkSolution();
+        this.updateEquationDisplay();
+    }
+
+    buildDivision(divisor) {
+        const side = this.layoutSide([{ kind: 'x', count: divisor.x }, { kind: 'u', count: divisor.c }]);
+        if (!side) return null;
+
+        const U = TILE_CONFIG.SIZES.u;
+        const gap = TILE_CONFIG.GAP;
+
+        // Room on the left for the divisor and above for the quotient's bracket
+        const view = this.getViewRect();
+        const x = Math.round(view.x) + 2 * U + gap;
+        const y = Math.round(view.y) + 3 * U;
+        const tileType = { x: 'x', u: 'one' };
+
+        const tiles = side.cells.map(cell => {
+            const t = new Tile(tileType[cell.kind], 0, 0, cell.sign < 0);
+            t.rotate();
+            t.x = x - U - gap;
+            t.y = y + cell.offset;
+            return t;
+        });
+
+        return { divisor, x, y, height: side.length, tiles, result: null };
+    }
+
+    /**
+     * Tiles whose centres are in the divisor's band, to the right of it.
+     */
+    getDivisionBandTiles() {
+        const { x, y, height } = this.division;
+        return this.tiles.filter(t => {
+            const cx = t.x + t.w / 2;
+            const cy = t.y + t.h / 2;
+            return cx > x && cy > y && cy < y + height;
+        });
+    }
+
+    checkDivision(silent) {
+        const division = this.division;
+        if (!division) {
+            if (!silent) this.showFeedback("Press OK to set up the divisor first.", false);
+            return false;
+        }
+
+        const previous = division.result;
+        division.result = null;
+        const done = (valid) => {
+            if (!this.sameDivisionResult(previous, division.result)) this.updateEquationDisplay();
+            return valid;
+        };
+
+        const inside = this.getDivisionBandTiles();
+        if (inside.length === 0) {
+            if (!silent) this.showFeedback("Build a rectangle in the band next to the divisor.", false);
+            return done(false);
+        }
+
+        const result = this.analyzeArrangement(inside);
+        if (!result.valid) {
+            if (!silent) this.showFeedback(this.getArrangementMessage(result.reason), false);
+            return done(false);
+        }
+
+        const tol = TILE_CONFIG.SIZES.u / 4;
+        const { width, height, sign, bounds } = result;
+        const { divisor } = division;
+        const matchesDivisor = sign > 0 && height.x === divisor.x && height.y === 0 && height.c === divisor.c;
+
+        if (!matchesDivisor) {
+            if (!silent) {
+                this.showFeedback(`The rectangle's side is ${this.formatSide(height)}, ` +
+                    `but the divisor is ${this.formatSide(divisor)}.`, false);
+            }
+            return done(false);
+        }
+        if (Math.abs(bounds.x - division.x) > tol || Math.abs(bounds.y - division.y) > tol) {
+            if (!silent) this.showFeedback("Push the rectangle right up against the divisor.", false);
+            return done(false);
+        }
+
+        const outside = this.tiles.filter(t => !inside.includes(t));
+        const remainder = this.getBoardTotal(outside);
+        const product = this.expandProduct(width, height);
+        const total = Object.fromEntries(Object.entries(product).map(([key, value]) => [key, value + remainder[key]]));
+
+        if (!this.samePolynomial(total, this.getCoefficients())) {
+            if (!silent) {
+                this.showFeedback(`The board adds up to ${this.formatPolynomial(total)}, ` +
+                    `not ${this.formatPolynomial(this.getCoefficients())}.`, false);
+            }
+            return done(false);
+        }
+
+        // A remainder of the divisor's degree or more could still grow the rectangle
+        if (remainder.a !== 0 || remainder.b !== 0) {
+            if (!silent) this.showFeedback("Some x tiles are left over. Use them to make the rectangle longer.", false);
+            return done(false);
+        }
+
+        division.result = { quotient: width, remainder };
+        this.setDimensions({ ...result, factored: `(${this.formatSide(width)})(${this.formatSide(height)})` });
+
+        if (!silent || !previous) this.showFeedback(this.formatDivision(), true);
+        return done(true);
+    }
+
+    sameDivisionResult(r1, r2) {
+        if (!r1 || !r2) return r1 === r2;
+        return this.formatSide(r1.quotient) === this.formatSide(r2.quotient) &&
+            this.samePolynomial(r1.remainder, r2.remainder);
+    }
+
+    /**
+     * The division as plain text, e.g. "(x² + 5x + 7) ÷ (x + 2) = x + 3 R 1",
+     * or just the question until the rectangle is built.
+     */
+    formatDivision() {
+        const { divisor, result } = this.division;
+        const question = `(${this.formatPolynomial(this.getCoefficients())}) ÷ (${this.formatSide(divisor)})`;
+        if (!result) return question;
+
+        const remainder = result.remainder.c === 0 ? '' : ` R ${this.formatPolynomial(result.remainder)}`;
+        return `${question} = ${this.formatSide(result.quotient)}${remainder}`;
+    }
+
+    /**
+     * Divides the entered quadratic by the divisor and lays out the quotient's
+     * rectangle against it, with the remainder's units underneath.
+     */
+    buildDivisionSolution() {
+        if (!this.division) {
+            this.showFeedback("Press OK to set up the divisor first.", false);
+            return null;
+        }
+
+        const { a, b, c } = this.getCoefficients();
+        const { x: m, c: p } = this.division.divisor;
+
+        // Long division: (ax^2 + bx + c) = (mx + p)(q1 x + q0) + r
+        const q1 = a / m;
+        const q0 = (b - q1 * p) / m;
+        if (!Number.isInteger(q1) || !Number.isInteger(q0)) {
+            this.showFeedback("This division doesn't come out in whole tiles.", false);
+            return null;
+        }
+        const r = c - q0 * p;
+
+        // The divisor runs down the left, so it's the rectangle's height
+        const factors = { m: q1, p: q0, n: m, q: p };
+        const layout = this.computeFactorLayout(factors);
+        if (!layout) {
+            this.showFeedback("This rectangle can't be drawn at this x length. Try another x length.", false);
+            return null;
+        }
+
+        const { x, y, height } = this.division;
+        const U = TILE_CONFIG.SIZES.u;
+        const gap = TILE_CONFIG.GAP;
+
+        const tiles = layout.tiles.map(spec => {
+            const t = new Tile(spec.type, 0, 0, spec.isNegative);
+            t.rotation = spec.rotation;
+            t.updateDimensions();
+            t.targetX = x + spec.x;
+            t.targetY = y + spec.y;
+            return t;
+        });
+
+        for (let i = 0; i < Math.abs(r); i++) {
+            const t = new Tile('one', 0, 0, r < 0);
+            t.targetX = x + (i % 10) * (U + gap);
+            t.targetY = y + height + 3 * U + Math.floor(i / 10) * (U + gap);
+            tiles.push(t);
+        }
+
+        this.placeInRows(tiles);
+        return { factors, tiles };
+    }
+
+    drawDivision(ctx) {
+        const { x, y, height, tiles } = this.division;
+
+        ctx.save();
+        ctx.globalAlpha = 0.6;
+        tiles.forEach(t => t.draw(ctx));
+        ctx.restore();
+
+        // The band the quotient's rectangle has to fill
+        ctx.save();
+        ctx.strokeStyle = TILE_CONFIG.COLORS.guide;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([8, 6]);
+        ctx.beginPath();
+        const view = this.getViewRect();
+        const right = Math.max(x, view.x + view.w);
+        ctx.moveTo(x, y);
+        ctx.lineTo(right, y);
+        ctx.moveTo(x, y + height);
+        ctx.lineTo(right, y + height);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Undo/Redo: whole-board snapshots taken before each change.
+     */
+    snapshot() {
+        return this.tiles.map(t => {
+            const data = t.serialize();
+            // Mid-animation tiles are recorded where they are heading
+            if (this.isAnimating) {
+                data.x = t.targetX;
+                data.y = t.targetY;
+            }
+            return data;
+        });
+    }
+
+    // History entries keep the tray with the tiles so undo puts both back
+    recordHistory(before = this.snapshot()) {
+        this.undoStack.push({ tiles: before, tray: this.tray });
+        if (this.undoStack.length > 100) this.undoStack.shift();
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return;
+        this.redoStack.push({ tiles: this.snapshot(), tray: this.tray });
+        this.restoreSnapshot(this.undoStack.pop());
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return;
+        this.undoStack.push({ tiles: this.snapshot(), tray: this.tray });
+        this.restoreSnapshot(this.redoStack.pop());
+    }
+
+    restoreSnapshot(entry) {
+        this.isAnimating = false;
+        this.closeGuide();
+        this.dismissZeroPair();
+        this.dragTarget = null;
+        this.tiles = entry.tiles.map(data => Tile.fromData(data));
+        this.tray = entry.tray;
+        this.updateSelectionBar();
+        this.updateHistoryButtons();
+        this.requestRender();
+        this.checkSolution();
+    }
+
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+
+    updateHistoryButtons() {
+        document.getElementById('btn-undo').disabled = this.undoStack.length === 0;
+        document.getElementById('btn-redo').disabled = this.redoStack.length === 0;
+    }
+
+    /**
+     * Workspace serialization: equation, factors, the x length and every tile
+     * with its position in unit-tile lengths. Positions only fit the x length
+     * they were saved with, so loading restores that too.
+     */
+    serializeWorkspace() {
+        const U = TILE_CONFIG.SIZES.u;
+        const round = (value) => Math.round(value * 1000) / 1000;
+
+        // Tiles in multiply and square modes are kept relative to the frame or
+        // square, which is recentered on load
+        const origin = this.frame || this.square || this.division;
+        const originX = origin ? origin.x : 0;
+        const originY = origin ? origin.y : 0;
+
+        return {
+            version: WORKSPACE_VERSION,
+            mode: this.mode,
+            equation: this.getCoefficients(),
+            factors: this.frame ? this.frame.factors : this.getFactorInputs(),
+            frame: !!this.frame,
+            mat: this.mat ? this.mat.equation : null,
+            square: !!this.square,
+            divisor: this.division ? this.division.divisor : null,
+            xLength: this.getXLength(),
+            tiles: this.snapshot().map(t => ({
+                type: t.type,
+                x: round((t.x - originX) / U),
+                y: round((t.y - originY) / U),
+                rotation: t.rotation,
+                negative: t.isNegative
+            }))
+        };
+    }
+
+    /**
+     * Replaces the board with a serialized workspace.
+     * Throws if the data isn't a workspace this version understands.
+     */
+    applyWorkspace(data) {
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+        const valid = data && data.version === WORKSPACE_VERSION && Array.isArray(data.tiles) &&
+            data.tiles.every(t => t && TILE_TYPES.includes(t.type) && isNumber(t.x) && isNumber(t.y));
+        if (!valid) throw new Error('Not a Rectangulate workspace');
+
+        const setValue = (id, value) => {
+            if (isNumber(value)) document.getElementById(id).value = value;
+        };
+
+        // Tile positions only fit the x length they were saved with. There's no
+        // telling what that was for boards saved without one, so they load at
+        // the current length. The old frame, square and divisor are replaced
+        // below, so they mustn't hold the length back
+        this.frame = null;
+        this.square = null;
+        this.division = null;
+        if (isNumber(data.xLength)) this.setXLength(data.xLength);
+
+        // y coefficients are missing from boards saved before y tiles existed
+        if (data.equation) {
+            setValue('coeff-a', data.equation.a);
+            setValue('coeff-b', data.equation.b);
+            setValue('coeff-c', data.equation.c);
+            setValue('coeff-xy', data.equation.xy || 0);
+            setValue('coeff-y2', data.equation.y2 || 0);
+            setValue('coeff-y', data.equation.y || 0);
+        }
+        if (data.factors) {
+            setValue('factor-m', data.factors.m);
+            setValue('factor-r', data.factors.r || 0);
+            setValue('factor-p', data.factors.p);
+            setValue('factor-n', data.factors.n);
+            setValue('factor-s', data.factors.s || 0);
+            setValue('factor-q', data.factors.q);
+        }
+
+        const mode = ['multiply', 'equation', 'square', 'divide'].includes(data.mode) ? data.mode : 'factor';
+        if (mode !== this.mode) {
+            document.getElementById('mode-select').value = mode;
+            this.setMode(mode);
+        } else if (this.tiles.length > 0) {
+            this.recordHistory();
+        }
+
+        this.closeGuide();
+        this.dismissZeroPair();
+        this.isAnimating = false;
+        this.frame = (mode === 'multiply' && data.frame) ? this.buildFrame(this.getFactorInputs()) : null;
+
+        const sides = data.mat ? [data.mat.left, data.mat.right] : [];
+        if (mode === 'equation' && sides.every(side => side && isNumber(side.x) && isNumber(side.c))) {
+            setValue('mat-left-x', data.mat.left.x);
+            setValue('mat-left-c', data.mat.left.c);
+            setValue('mat-right-x', data.mat.right.x);
+            setValue('mat-right-c', data.mat.right.c);
+            this.mat = { equation: this.getMatInputs(), solved: false, area: this.getViewRect() };
+        } else {
+            this.mat = null;
+        }
+
+        this.square = (mode === 'square' && data.square) ? this.buildSquare(this.getCoefficients()) : null;
+
+        const divisor = data.divisor;
+        if (mode === 'divide' && divisor && isNumber(divisor.x) && isNumber(divisor.c)) {
+            setValue('divisor-m', divisor.x);
+            setValue('divisor-p', divisor.c);
+            this.division = this.buildDivision(divisor);
+        } else {
+            this.division = null;
+        }
+
+        const U = TILE_CONFIG.SIZES.u;
+        const origin = this.frame || this.square || this.division;
+        const originX = origin ? origin.x : 0;
+        const originY = origin ? origin.y : 0;
+
+        this.tiles = data.tiles.map(t => Tile.fromData({
+            type: t.type,
+            x: originX + t.x * U,
+            y: originY + t.y * U,
+            rotation: t.rotation === 1 ? 1 : 0,
+            isNegative: !!t.negative
+        }));
+        this.tray = null;
+
+        this.updateEquationDisplay();
+        this.requestRender();
+        this.checkSolution();
+    }
+
+    saveWorkspace() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.serializeWorkspace()));
+        } catch (err) {
+            // Storage can be full or disabled (private browsing); autosave is best effort
+        }
+    }
+
+    loadFromStorage() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) this.applyWorkspace(JSON.parse(saved));
+        } catch (err) {
+            // A corrupt board is dropped, unless storage is off altogether
+            try {
+                localStorage.removeItem(STORAGE_KEY);
+            } catch (storageErr) {
+                // Nothing to clear
+            }
+        }
+    }
+
+    /**
+     * Loads a board shared as #board=<base64url JSON>. Returns true if one was found.
+     */
+    loadFromHash() {
+        const match = window.location.hash.match(/^#board=([A-Za-z0-9_-]+)$/);
+        if (!match) return false;
+
+        try {
+            const base64 = match[1].replace(/-/g, '+').replace(/_/g, '/');
+            this.applyWorkspace(JSON.parse(atob(base64)));
+        } catch (err) {
+            this.showFeedback("That share link is broken or out of date.", false);
+        }
+
+        // Drop the hash so a reload picks up later edits from autosave
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        return true;
+    }
+
+    getShareUrl() {
+        const base64 = btoa(JSON.stringify(this.serializeWorkspace()))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return `${window.location.origin}${window.location.pathname}#board=${base64}`;
+    }
+
+    shareWorkspace() {
+        const url = this.getShareUrl();
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url)
+                .then(() => this.showFeedback("Share link copied to the clipboard.", true))
+                .catch(() => this.showFeedback(`Share this link: ${url}`, true));
+        } else {
+            this.showFeedback(`Share this link: ${url}`, true);
+        }
+    }
+
+    exportWorkspace() {
+        const json = JSON.stringify(this.serializeWorkspace(), null, 2);
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), 'rectangulate-board.json');
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        // Revoking straight away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    /**
+     * Image export: the tiles (and any multiplication frame) cropped to their
+     * bounding box, drawn without selection or UI overlays. Options come from
+     * the Export Image controls.
+     */
+    getExportOptions() {
+        return {
+            equation: document.getElementById('export-equation').checked,
+            labels: document.getElementById('export-labels').checked,
+            blank: document.getElementById('export-blank').checked,
+            scale: parseInt(document.getElementById('export-scale').value) || 1
+        };
+    }
+
+    /**
+     * Works out what goes in an exported image and where. Returns null (with
+     * feedback) when the board is empty.
+     */
+    buildExportScene({ equation, labels, blank }) {
+        if (this.tiles.length === 0) {
+            this.showFeedback("There are no tiles to export.", false);
+            return null;
+        }
+
+        // Fresh copies draw without selection, highlight or flip state
+        const tiles = this.tiles.map(t => Tile.fromData(t.serialize()));
+        const frameTiles = this.frame ? this.frame.tiles.map(t => Tile.fromData(t.serialize())) : [];
+        const bounds = this.getBounds([...tiles, ...frameTiles]);
+
+        const analysis = this.analyzeArrangement(tiles);
+        const dimensions = labels && analysis.valid ?
+            { bounds: analysis.bounds, width: analysis.width, height: analysis.height } :
+            null;
+
+        let text = null;
+        if (equation) {
+            text = this.formatPolynomial(this.getBoardTotal(tiles));
+            if (analysis.valid) {
+                const { width: w, height: h, sign } = analysis;
+                text += blank ?
+                    ' = (          )(          )' :
+                    ` = ${sign < 0 ? '−' : ''}(${this.formatSide(w)})(${this.formatSide(h)})`;
+            }
+        }
+
+        // Room for the dimension labels above and to the left, and the equation below
+        const pad = 24;
+        const left = pad + (dimensions ? 80 : 0);
+        const top = pad + (dimensions ? 36 : 0);
+        const bottom = pad + (text ? 40 : 0);
+
+        let width = bounds.w + left + pad;
+        const height = bounds.h + top + bottom;
+        let x = bounds.x - left;
+
+        // Widen (keeping the tiles centred) so the equation fits
+        const minWidth = text ? text.length * 11 + 2 * pad : 0;
+        if (width < minWidth) {
+            x -= (minWidth - width) / 2;
+            width = minWidth;
+        }
+
+        return {
+            x,
+            y: bounds.y - top,
+            width,
+            height,
+            tiles,
+            frameTiles,
+            dimensions,
+            blank,
+            text,
+            textY: bounds.y + bounds.h + pad + 12
+        };
+    }
+
+    exportPNG() {
+        const options = this.getExportOptions();
+        const scene = this.buildExportScene(options);
+        if (!scene) return;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(scene.width * options.scale);
+        canvas.height = Math.ceil(scene.height * options.scale);
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(options.scale, options.scale);
+        ctx.fillStyle = TILE_CONFIG.COLORS.background;
+        ctx.fillRect(0, 0, scene.width, scene.height);
+        ctx.translate(-scene.x, -scene.y);
+
+        ctx.save();
+        ctx.globalAlpha = 0.6;
+        scene.frameTiles.forEach(t => t.draw(ctx));
+        ctx.restore();
+        scene.tiles.forEach(t => t.draw(ctx));
+
+        if (scene.dimensions) this.drawDimensions(ctx, scene.dimensions, scene.blank);
+
+        if (scene.text) {
+            ctx.fillStyle = TILE_CONFIG.COLORS.ink;
+            ctx.font = '18px Outfit';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(scene.text, scene.x + scene.width / 2, scene.textY);
+        }
+
+        canvas.toBlob(blob => {
+            // null when the canvas is too large to encode
+            if (!blob) {
+                this.showFeedback("Couldn't make the image. Try a smaller resolution.", false);
+                return;
+            }
+            this.downloadBlob(blob, 'rectangulate.png');
+        }, 'image/png');
+    }
+
+    exportSVG() {
+        const scene = this.buildExportScene(this.getExportOptions());
+        if (!scene) return;
+
+        const colors = TILE_CONFIG.COLORS;
+        const { x, y, width, height } = scene;
+
+        // Stripe directions match Tile.drawHatch
+        const hatch = (type, angle, path) =>
+            `<pattern id="hatch-${type}" width="8" height="8" patternUnits="userSpaceOnUse" ` +
+            `patternTransform="rotate(${angle})"><path d="${path}" stroke="rgba(0,0,0,0.45)" stroke-width="2"/></pattern>`;
+
+        const parts = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">`,
+            '<defs>' + hatch('x2', 45, 'M4 0V8') + hatch('x', -45, 'M4 0V8') + hatch('one', 45, 'M4 0V8M0 4H8') +
+                hatch('y2', 45, 'M4 0V8') + hatch('y', -45, 'M4 0V8') + hatch('xy', 45, 'M4 0V8M0 4H8') + '</defs>',
+            `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${colors.background}"/>`
+        ];
+
+        if (scene.frameTiles.length > 0) {
+            parts.push(`<g opacity="0.6">${scene.frameTiles.map(t => t.toSVG()).join('')}</g>`);
+        }
+        parts.push(...scene.tiles.map(t => t.toSVG()));
+
+        if (scene.dimensions) parts.push(this.dimensionsToSVG(scene.dimensions, scene.blank));
+
+        if (scene.text) {
+            parts.push(`<text x="${x + width / 2}" y="${scene.textY}" fill="${colors.ink}" ` +
+                `font-family="Outfit" font-size="18" text-anchor="middle" dominant-baseline="central">` +
+                `${this.escapeXML(scene.text)}</text>`);
+        }
+
+        parts.push('</svg>');
+        this.downloadBlob(new Blob([parts.join('\n')], { type: 'image/svg+xml' }), 'rectangulate.svg');
+    }
+
+    /**
+     * SVG version of drawDimensions.
+     */
+    dimensionsToSVG({ bounds, width, height }, blank = false, colors = TILE_CONFIG.COLORS) {
+        const offset = 16;
+        const tick = 6;
+        const { x, y, w, h } = bounds;
+        const ink = colors.ink;
+        const top = y - offset;
+        const left = x - offset;
+        const label = side => blank ? '______' : this.escapeXML(this.formatSide(side));
+
+        return `<g stroke="${ink}" stroke-width="1.5" fill="none" opacity="0.85">` +
+            `<path d="M${x} ${top + tick}V${top}H${x + w}V${top + tick}"/>` +
+            `<path d="M${left + tick} ${y}H${left}V${y + h}H${left + tick}"/></g>` +
+            `<g fill="${ink}" font-family="Outfit" font-size="16" opacity="0.85">` +
+            `<text x="${x + w / 2}" y="${top - 4}" text-anchor="middle">${label(width)}</text>` +
+            `<text x="${left - 6}" y="${y + h / 2}" text-anchor="end" dominant-baseline="central">${label(height)}</text></g>`;
+    }
+
+    /**
+     * Printable worksheet: a page of problems at the chosen difficulty and an
+     * answer key with the solved rectangles. Opens as its own page to print
+     * (or save as PDF) from the browser.
+     */
+    createWorksheet() {
+        const count = Math.min(Math.max(parseInt(document.getElementById('worksheet-count').value) || 1, 1), 20);
+        const level = document.getElementById('worksheet-level').value;
+        const style = document.getElementById('worksheet-style').value;
+
+        const problems = [];
+        const seen = new Set();
+        for (let i = 0; problems.length < count && i < count * 20; i++) {
+            const problem = this.buildWorksheetProblem(level);
+            if (!problem) break;
+            const key = `${problem.a},${problem.b},${problem.c}`;
+            // Small levels run out of distinct problems; allow repeats after a while
+            if (seen.has(key) && i < count * 10) continue;
+            seen.add(key);
+            problem.style = style === 'mixed' ? (problems.length % 2 === 0 ? 'frame' : 'interpret') : style;
+            problems.push(problem);
+        }
+
+        const html = this.buildWorksheetHTML(problems);
+        const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+        const page = window.open(url, '_blank');
+        if (!page) {
+            this.showFeedback("Allow pop-ups for this page to open the worksheet.", false);
+        }
+        // Give the new page time to load before the URL goes away
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    /**
+     * A practice problem with its factors and solved tiles, laid out from (0, 0).
+     * Returns null if no drawable problem turns up.
+     */
+    buildWorksheetProblem(level) {
+        for (let attempt = 0; attempt < 100; attempt++) {
+            const { a, b, c } = this.generatePracticeProblem(level);
+            const factors = this.findFactorization(a, b, c);
+            const layout = factors ? this.computeFactorLayout(factors) : null;
+            if (!layout) continue;
+
+            const tiles = layout.tiles.map(spec => {
+                const t = new Tile(spec.type, spec.x, spec.y, spec.isNegative);
+                t.rotation = spec.rotation;
+                t.updateDimensions();
+                return t;
+            });
+
+            const dimensions = this.analyzeArrangement(tiles);
+            const { width: w, height: h, sign } = dimensions;
+            return {
+                a,
+                b,
+                c,
+                tiles,
+                layout,
+                dimensions,
+                factored: `${sign < 0 ? '−' : ''}(${this.formatSide(w)})(${this.formatSide(h)})`
+            };
+        }
+        return null;
+    }
+
+    /**
+     * SVG of a problem's rectangle, with dimension labels or blanks. Printed
+     * in the light theme at a fixed x length whatever the screen size.
+     */
+    worksheetRectangleSVG(problem, blank) {
+        const colors = THEMES.light;
+        const { width, height } = problem.layout;
+        const margin = { left: 80, top: 36, right: 8, bottom: 8 };
+        const scale = 80 / TILE_CONFIG.SIZES.x;
+
+        const viewW = width + margin.left + margin.right;
+        const viewH = height + margin.top + margin.bottom;
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${viewW * scale}" height="${viewH * scale}" ` +
+            `viewBox="${-margin.left} ${-margin.top} ${viewW} ${viewH}">` +
+            problem.tiles.map(t => t.toSVG(colors)).join('') +
+            this.dimensionsToSVG(problem.dimensions, blank, colors) +
+            '</svg>';
+    }
+
+    /**
+     * An empty multiplication mat: factor strips along the top and left, and the
+     * product area to fill in. It's the same size for every problem, so it
+     * doesn't give the factors away.
+     */
+    worksheetFrameSVG() {
+        const size = 200;
+        const strip = 20;
+        const gap = 4;
+        const line = 1.5;
+        const margin = strip + gap + line;
+        const view = size + margin + line;
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${view}" height="${view}" ` +
+            `viewBox="${-margin} ${-margin} ${view} ${view}">` +
+            `<rect x="0" y="${-strip - gap}" width="${size}" height="${strip}" fill="none" stroke="#94a3b8" stroke-width="${line}"/>` +
+            `<rect x="${-strip - gap}" y="0" width="${strip}" height="${size}" fill="none" stroke="#94a3b8" stroke-width="${line}"/>` +
+            `<rect x="0" y="0" width="${size}" height="${size}" fill="none" stroke="#0f172a" stroke-width="${line}" ` +
+            `stroke-dasharray="${4 * line} ${3 * line}"/>` +
+            '</svg>';
+    }
+
+    buildWorksheetHTML(problems) {
+        const quadratic = p => this.escapeXML(this.formatQuadratic(p.a, p.b, p.c));
+
+        const items = problems.map((p, i) => {
+            const prompt = p.style === 'frame' ?
+                `Build ${quadratic(p)} with tiles and sketch the rectangle.` :
+                `This rectangle shows ${quadratic(p)}. Label its sides.`;
+            const figure = p.style === 'frame' ? this.worksheetFrameSVG() : this.worksheetRectangleSVG(p, true);
+            return `<li><p>${prompt}</p><div class="figure">${figure}</div>` +
+                `<p class="answer">${quadratic(p)} = ________________</p></li>`;
+        }).join('\n');
+
+        const answers = problems.map(p =>
+            `<li><p><strong>${quadratic(p)} = ${this.escapeXML(p.factored)}</strong></p>` +
+            `<div class="figure">${this.worksheetRectangleSVG(p, false)}</div></li>`
+        ).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Rectangulate Worksheet</title>
+<style>
+    body { font-family: Inter, Arial, sans-serif; color: #0f172a; margin: 2rem; }
+    h1 { font-size: 1.5rem; margin: 0 0 0.5rem; }
+    .name { margin-bottom: 1.5rem; }
+    ol { display: grid; grid-template-columns: 1fr 1fr; gap: 1.5rem 2rem; padding-left: 1.5rem; }
+    li { break-inside: avoid; }
+    .figure { margin: 0.5rem 0; }
+    .answer { margin-top: 0.5rem; }
+    .key { break-before: page; }
+    .print { margin-bottom: 1rem; }
+    @media print { .print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<button class="print" onclick="window.print()">Print</button>
+<h1>Factoring with Algebra Tiles</h1>
+<p class="name">Name: ______________________ &nbsp; Date: ____________</p>
+<ol>
+${items}
+</ol>
+<section class="key">
+<h1>Answer Key</h1>
+<ol>
+${answers}
+</ol>
+</section>
+</body>
+</html>`;
+    }
+
+    escapeXML(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    importWorkspace(file) {
+        file.text()
+            .then(text => {
+                this.applyWorkspace(JSON.parse(text));
+                this.hideFeedback();
+            })
+            .catch(() => this.showFeedback("That file isn't a Rectangulate board.", false));
+    }
+
+    hideFeedback() {
+        const fb = document.getElementById('feedback');
+        fb.classList.add('hidden');
+        fb.classList.remove('show');
+    }
+
+    showFeedback(message, isSuccess) {
+        const fb = document.getElementById('feedback');
+        const msg = fb.querySelector('.message');
+        msg.textContent = message;
+        // Read out through the one live region, so it isn't heard twice
+        this.announce(message);
+        fb.classList.remove('hidden');
+        fb.classList.add('show');
+
+        if (isSuccess) {
+            fb.style.borderColor = 'var(--success)';
+            fb.style.background = 'rgba(16, 185, 129, 0.1)';
+        } else {
+            fb.style.borderColor = 'var(--error)';
+            fb.style.background = 'rgba(239, 68, 68, 0.1)';
+        }
+    }
+
+    setupCanvasListeners() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.canvas.addEventListener('keydown', this.handleKeyDown.bind(this));
+        this.canvas.addEventListener('focus', () => this.requestRender());
+        this.canvas.addEventListener('blur', () => this.requestRender());
+        window.addEventListener('mousemove', this.handleMouseMove.bind(this)); // Window for drag out
+        window.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
+        this.canvas.addEventListener('contextmenu', this.handleContextMenu.bind(this));
+        this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+
+        // Touch Listeners
+        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
+        window.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
+        window.addEventListener('touchend', this.handleTouchEnd.bind(this));
+    }
+
+    handleTouchStart(e) {
+        e.preventDefault();
+
+        // A second finger turns whatever the first was doing into a pinch
+        if (e.touches.length === 2) {
+            this.cancelLongPress();
+            if (this.dragTarget || this.marquee || this.pan) this.handleMouseUp(new MouseEvent('mouseup', {}));
+            this.startPinch(e.touches);
+            return;
+        }
+        if (e.touches.length > 2) return;
+
+        const touch = e.touches[0];
+        const mouseEvent = new MouseEvent('mousedown', {
+            clientX: touch.clientX,
+            clientY: touch.clientY
+        });
+
+        // Double Tap Detection
+        const now = Date.now();
+        if (this.lastTap && (now - this.lastTap) < 300) {
+            this.handleDoubleClick(mouseEvent);
+            this.lastTap = null;
+        } else {
+            this.lastTap = now;
+            this.handleMouseDown(mouseEvent);
+            if (this.dragTarget) this.startLongPress(touch);
+        }
+    }
+
+    handleTouchMove(e) {
+        if (this.pinch && e.touches.length === 2) {
+            e.preventDefault();
+            this.movePinch(e.touches);
+            return;
+        }
+        if (e.touches.length > 1) return;
+
+        // Moving more than a few pixels turns a long-press into a drag
+        if (this.longPress) {
+            const t = e.touches[0];
+            if (Math.hypot(t.clientX - this.longPress.x, t.clientY - this.longPress.y) > 10) {
+                this.cancelLongPress();
+            }
+        }
+
+        // Only prevent default if we are actively dragging a tile, a selection box or the view
+        if (this.dragTarget || this.marquee || this.pan) {
+            e.preventDefault();
+        }
+
+        const touch = e.touches[0];
+        const mouseEvent = new MouseEvent('mousemove', {
+            clientX: touch.clientX,
+            clientY: touch.clientY
+        });
+        this.handleMouseMove(mouseEvent);
+    }
+
+    handleTouchEnd(e) {
+        this.cancelLongPress();
+        if (this.pinch) {
+            // Lifting one finger ends the pinch without starting a drag
+            if (e.touches.length < 2) this.pinch = null;
+            return;
+        }
+        const mouseEvent = new MouseEvent('mouseup', {});
+        this.handleMouseUp(mouseEvent);
+    }
+
+    /**
+     * Two-finger gestures: the fingers' midpoint pans and their spread zooms.
+     */
+    startPinch(touches) {
+        const rect = this.canvas.getBoundingClientRect();
+        const [t1, t2] = touches;
+        const mid = { x: (t1.clientX + t2.clientX) / 2 - rect.left, y: (t1.clientY + t2.clientY) / 2 - rect.top };
+        this.pinch = {
+            distance: Math.hypot(t1.clientX - t2.clientX, t1.clientY - t2.clientY) || 1,
+            scale: this.view.scale,
+            world: this.screenToWorld(mid.x, mid.y)
+        };
+    }
+
+    movePinch(touches) {
+        const rect = this.canvas.getBoundingClientRect();
+        const [t1, t2] = touches;
+        const mid = { x: (t1.clientX + t2.clientX) / 2 - rect.left, y: (t1.clientY + t2.clientY) / 2 - rect.top };
+        const distance = Math.hypot(t1.clientX - t2.clientX, t1.clientY - t2.clientY);
+
+        // The world point first under the fingers stays under them
+        const { world } = this.pinch;
+        const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, this.pinch.scale * distance / this.pinch.distance));
+        const pixels = scale * TILE_CONFIG.SCALE;
+        this.setView(scale, mid.x - world.x * pixels, mid.y - world.y * pixels);
+    }
+
+    /**
+     * Flip gestures: right-click, long-press and the F key toggle a tile's sign
+     * in place. A selected tile flips its whole selection.
+     */
+    handleContextMenu(e) {
+        const { x, y } = this.getMousePos(e);
+        const tile = this.getTileAt(x, y);
+        if (!tile) return;
+
+        e.preventDefault();
+        this.dismissZeroPair();
+        this.flipTiles(tile.isSelected ? this.getSelection() : [tile]);
+    }
+
+    startLongPress(touch) {
+        this.cancelLongPress();
+        this.longPress = {
+            x: touch.clientX,
+            y: touch.clientY,
+            timer: setTimeout(() => {
+                const tile = this.dragTarget;
+                this.longPress = null;
+                if (!tile) return;
+
+                // End the drag where it is, then flip
+                this.handleMouseUp(new MouseEvent('mouseup', {}));
+                this.flipTiles(tile.isSelected ? this.getSelection() : [tile]);
+                if (navigator.vibrate) navigator.vibrate(20);
+            }, 500)
+        };
+    }
+
+    cancelLongPress() {
+        if (!this.longPress) return;
+        clearTimeout(this.longPress.timer);
+        this.longPress = null;
+    }
+
+    getTileAt(x, y) {
+        for (let i = this.tiles.length - 1; i >= 0; i--) {
+            if (this.tiles[i].contains(x, y)) return this.tiles[i];
+        }
+        return null;
+    }
+
+    setTheme(name) {
+        this.theme = applyTheme(name);
+        try {
+            localStorage.setItem(THEME_KEY, this.theme);
+        } catch (err) {
+            // Storage can be disabled; the theme just won't persist
+        }
+        this.requestRender();
+    }
+
+    loadTheme() {
+        try {
+            return localStorage.getItem(THEME_KEY) || 'default';
+        } catch (err) {
+            return 'default';
+        }
+    }
+
+    togglePaletteSign(type) {
+        this.paletteSigns[type] = !this.paletteSigns[type];
+        const isNeg = this.paletteSigns[type];
+
+        document.querySelector(`.palette-item[data-type="${type}"]`).classList.toggle('negative', isNeg);
+        const btn = document.querySelector(`.palette-sign[data-type="${type}"]`);
+        btn.textContent = isNeg ? '−' : '+';
+        btn.setAttribute('aria-pressed', String(isNeg));
+    }
+
+    spawnTileFromMouse(e, type) {
+        const isNeg = this.paletteSigns[type];
+
+        // Start position in world coordinates, wherever the view is panned and zoomed
+        const { x, y } = this.getMousePos(e);
+
+        // Center the tile on mouse slightly
+        // We don't know dimensions perfectly until created, but we can guess.
+        // It will snap to mouse in handleMouseMove anyway.
+
+        const newTile = new Tile(type, x, y, isNeg);
+        this.setDimensions(null);
+        this.dragHistory = this.snapshot();
+        this.clearSelection();
+
+        // Center it
+        newTile.x -= newTile.w / 2;
+        newTile.y -= newTile.h / 2;
+
+        this.tiles.push(newTile);
+        this.dragTarget = newTile;
+        this.dragTarget.isDragging = true;
+        this.dragGroup = [newTile];
+        newTile.groupOffset = { x: 0, y: 0 };
+
+        // Calculate offset so it doesn't jump
+        // Mouse is at x, y (world coordinates)
+        // Tile is at newTile.x, newTile.y
+        this.dragOffset = {
+            x: x - newTile.x,
+            y: y - newTile.y
+        };
+
+        this.requestRender();
+    }
+
+    generateTiles(poly) {
+        this.tiles = [];
+        this.tray = null;
+
+        const counts = [['x2', poly.a], ['xy', poly.xy], ['y2', poly.y2], ['x', poly.b], ['y', poly.y], ['one', poly.c]];
+        for (const [type, count] of counts) {
+            for (let i = 0; i < Math.abs(count || 0); i++) this.tiles.push(new Tile(type, 0, 0, count < 0));
+        }
+
+        this.placeInRows(this.tiles);
+        this.requestRender();
+    }
+
+    /**
+     * Puts exactly the equation's tiles on the board, unarranged, in a tray
+     * along the bottom of the canvas. Each tile keeps a slot in the tray, which
+     * shows as used once the tile has been moved out of it.
+     */
+    loadTiles() {
+        if (!['factor', 'multiply', 'practice'].includes(this.mode)) {
+            this.showFeedback("This mode sets up its own tiles. Press OK instead.", false);
+            return;
+        }
+        if (this.mode === 'multiply' && !this.frame) {
+            this.showFeedback("Press OK to set up the frame first.", false);
+            return;
+        }
+
+        const target = this.getTargetPolynomial();
+        if (Object.values(target).every(value => value === 0)) {
+            this.showFeedback("Enter an equation to load its tiles.", false);
+            return;
+        }
+
+        if (this.tiles.length > 0) this.recordHistory();
+        this.closeGuide();
+        this.dismissZeroPair();
+        this.hideFeedback();
+        this.isAnimating = false;
+
+        this.generateTiles(target);
+        this.arrangeTray(this.tiles);
+        this.checkSolution();
+    }
+
+    /**
+     * Lays tiles out left to right along the bottom of the canvas, wrapping at
+     * its width, with long tiles stood upright to save room.
+     */
+    arrangeTray(tiles, view = this.getViewRect()) {
+        this.tray = this.layoutTray(tiles, view);
+        this.requestRender();
+    }
+
+    /**
+     * Moves the tiles into their tray slots and returns the tray, without
+     * putting it on the board.
+     */
+    layoutTray(tiles, view) {
+        const U = TILE_CONFIG.SIZES.u;
+        const gap = TILE_CONFIG.GAP * 2;
+        const margin = U;
+        const maxX = view.x + view.w - margin;
+
+        tiles.forEach(t => {
+            if (t.canRotate() && t.rotation === 0 && t.type !== 'xy') t.rotate();
+        });
+
+        // Flow the tiles into rows, then sit the rows on the bottom edge
+        const rows = [[]];
+        let x = view.x + margin;
+        for (const t of tiles) {
+            if (x + t.w > maxX && rows[rows.length - 1].length > 0) {
+                rows.push([]);
+                x = view.x + margin;
+            }
+            t.x = x;
+            rows[rows.length - 1].push(t);
+            x += t.w + gap;
+        }
+
+        const heights = rows.map(row => Math.max(...row.map(t => t.h)));
+        const height = heights.reduce((sum, h) => sum + h, 0) + gap * (rows.length - 1);
+        const top = view.y + Math.max(margin, view.h - margin - height);
+
+        let y = top;
+        rows.forEach((row, i) => {
+            row.forEach(t => t.y = y);
+            y += heights[i] + gap;
+        });
+
+        return {
+            view,
+            x: view.x + margin / 2,
+            y: top - margin / 2,
+            w: view.w - margin,
+            h: height + margin,
+            slots: tiles.map(t => ({ type: t.type, isNegative: t.isNegative, rotation: t.rotation, x: t.x, y: t.y, w: t.w, h: t.h }))
+        };
+    }
+
+    /**
+     * Pairs each tray slot with a tile still sitting in it. Returns a Map from
+     * tile to slot index.
+     */
+    findTrayTiles(tiles, tray) {
+        const tol = TILE_CONFIG.SIZES.u / 2;
+        const trayed = new Map();
+        tray.slots.forEach((slot, i) => {
+            const tile = tiles.find(t => !trayed.has(t) && t.type === slot.type &&
+                t.isNegative === slot.isNegative && t.rotation === slot.rotation &&
+                Math.abs(t.x - slot.x) < tol && Math.abs(t.y - slot.y) < tol);
+            if (tile) trayed.set(tile, i);
+        });
+        return trayed;
+    }
+
+    /**
+     * A slot is unused while a matching tile still sits in it.
+     */
+    isTraySlotUsed(slot) {
+        const tol = TILE_CONFIG.SIZES.u / 2;
+        return !this.tiles.some(t => t.type === slot.type && t.isNegative === slot.isNegative &&
+            t.rotation === slot.rotation && Math.abs(t.x - slot.x) < tol && Math.abs(t.y - slot.y) < tol);
+    }
+
+    drawTray(ctx) {
+        const { x, y, w, h, slots } = this.tray;
+        const used = slots.filter(slot => this.isTraySlotUsed(slot));
+
+        ctx.save();
+        ctx.fillStyle = TILE_CONFIG.COLORS.guide;
+        ctx.globalAlpha = 0.12;
+        ctx.fillRect(x, y, w, h);
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = TILE_CONFIG.COLORS.guide;
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(x, y, w, h);
+
+        ctx.fillStyle = TILE_CONFIG.COLORS.ink;
+        ctx.font = '13px Outfit';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`Tray: ${used.length} of ${slots.length} used`, x, y - 4);
+
+        // Used slots stay behind as ticked outlines
+        ctx.strokeStyle = TILE_CONFIG.COLORS.ink;
+        ctx.setLineDash([4, 3]);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const slot of used) {
+            ctx.globalAlpha = 0.5;
+            ctx.strokeRect(slot.x + 0.5, slot.y + 0.5, slot.w - 1, slot.h - 1);
+            ctx.globalAlpha = 0.8;
+            ctx.fillText('✓', slot.x + slot.w / 2, slot.y + Math.min(slot.h, TILE_CONFIG.SIZES.u) / 2);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Lines tiles up by type: squares (and xy) first, then x and y tiles, then units.
+     */
+    placeInRows(tiles) {
+        // Rows start at the top left of the view
+        const view = this.getViewRect();
+        const left = view.x + 50;
+        let startX = left;
+        let startY = view.y + 50;
+        const gap = TILE_CONFIG.GAP;
+
+        // Add x^2, xy and y^2 tiles
+        for (const t of tiles.filter(t => t.type === 'x2' || t.type === 'xy' || t.type === 'y2')) {
+            t.x = startX;
+            t.y = startY;
+            startX += t.w + gap; // Simple layout spacing
+        }
+
+        // Add x and y tiles
+        startX = left;
+        startY += 120;
+        tiles.filter(t => t.type === 'x' || t.type === 'y').forEach((t, i) => {
+            t.x = startX;
+            t.y = startY;
+            startX += 50;
+            if (i % 10 === 9) { // Wrap
+                startX = left;
+                startY += 110;
+            }
+        });
+
+        // Add 1 tiles
+        startX = left;
+        startY += 120;
+        for (const t of tiles.filter(t => t.type === 'one')) {
+            t.x = startX;
+            t.y = startY;
+            startX += 50;
+        }
+    }
+
+    handleMouseDown(e) {
+        if (e.button === 2) return; // Right-click flips (see handleContextMenu)
+
         const { x, y } = this.getMousePos(e);
+        this.dismissZeroPair();
+        this.keyboardActive = false;
+        this.keyMoving = false;
 
         // Check processing in reverse order (top first)
         for (let i = this.tiles.length - 1; i >= 0; i--) {
-            if (this.tiles[i].contains(x, y)) {
-                this.dragTarget = this.tiles[i];
-                // Move to top of stack
-                this.tiles.splice(i, 1);
-                this.tiles.push(this.dragTarget);
+            const tile = this.tiles[i];
+            if (tile.contains(x, y)) {
+                // Shift-click adds or removes a tile without dragging
+                if (e.shiftKey) {
+                    tile.isSelected = !tile.isSelected;
+                    this.updateSelectionBar();
+                    this.requestRender();
+                    return;
+                }
+
+                // Clicking outside the selection starts a new one
+                if (!tile.isSelected) {
+                    this.clearSelection();
+                    tile.isSelected = true;
+                    this.updateSelectionBar();
+                }
+
+                this.setDimensions(null);
+                this.dragTarget = tile;
+                this.focusedTile = tile;
+                this.dragGroup = this.getSelection();
+
+                // Move the group to top of stack, keeping its own stacking order.
+                // Raising tiles alone isn't worth an undo step, so the snapshot comes after
+                this.tiles = this.tiles.filter(t => !t.isSelected).concat(this.dragGroup);
+                this.dragHistory = this.snapshot();
+
+                this.dragGroup.forEach(t => {
+                    t.isDragging = true;
+                    t.groupOffset = { x: t.x - tile.x, y: t.y - tile.y };
+                });
+                this.dragOffset = {
+                    x: x - tile.x,
+                    y: y - tile.y
+                };
+                this.requestRender();
+                return;
+            }
+        }
+
+        // Empty space: Shift draws a rubber-band selection, a plain drag pans the view
+        if (e.shiftKey) {
+            this.marquee = { x0: x, y0: y, x1: x, y1: y, base: this.getSelection() };
+        } else {
+            this.clearSelection();
+            this.pan = { x: e.clientX, y: e.clientY, offsetX: this.view.offsetX, offsetY: this.view.offsetY };
+            this.canvas.style.cursor = 'grabbing';
+        }
+        this.requestRender();
+    }
+
+    handleMouseMove(e) {
+        if (this.pan) {
+            const { x, y, offsetX, offsetY } = this.pan;
+            this.setView(this.view.scale, offsetX + e.clientX - x, offsetY + e.clientY - y);
+            return;
+        }
+
+        if (this.marquee) {
+            const { x, y } = this.getMousePos(e);
+            this.marquee.x1 = x;
+            this.marquee.y1 = y;
+            this.updateMarqueeSelection();
+            this.requestRender();
+            return;
+        }
+
+        if (!this.dragTarget) return;
+        const { x, y } = this.getMousePos(e);
+        this.dragTarget.x = x - this.dragOffset.x;
+        this.dragTarget.y = y - this.dragOffset.y;
+        this.dragGroup.forEach(t => {
+            t.x = this.dragTarget.x + t.groupOffset.x;
+            t.y = this.dragTarget.y + t.groupOffset.y;
+        });
+        this.snapPreview = this.findSnap(this.dragGroup);
+        this.requestRender();
+    }
+
+    handleMouseUp(e) {
+        if (this.pan) {
+            this.pan = null;
+            this.canvas.style.cursor = '';
+            return;
+        }
+
+        if (this.marquee) {
+            this.marquee = null;
+            this.requestRender();
+            return;
+        }
+
+        if (this.dragTarget) {
+            const group = this.dragGroup;
+
+            // Check Sidebar (Delete Zone)
+            const trashZone = document.getElementById('trash-zone');
+            const trashRect = trashZone.getBoundingClientRect();
+
+            // Client coords
+            const mx = e.clientX;
+            const my = e.clientY;
+
+            if (mx >= trashRect.left && mx <= trashRect.right &&
+                my >= trashRect.top && my <= trashRect.bottom) {
+                // Delete
+                this.tiles = this.tiles.filter(t => !group.includes(t));
+            } else {
+                // Land where the preview showed, moving a group as one rigid piece
+                const snap = this.findSnap(group);
+                if (snap) {
+                    group.forEach(t => {
+                        t.x += snap.dx;
+                        t.y += snap.dy;
+                    });
+                }
+                if (group.length === 1) {
+                    this.announce(`Placed ${this.describeTile(this.dragTarget)}`);
+                    this.detectZeroPair(this.dragTarget);
+                }
+            }
+
+            this.snapPreview = null;
+
+            group.forEach(t => t.isDragging = false);
+            this.dragTarget = null;
+            this.dragGroup = null;
+            this.updateSelectionBar();
+
+            // Plain clicks (and the first half of a double click) don't count as a change
+            if (JSON.stringify(this.dragHistory) !== JSON.stringify(this.snapshot())) {
+                this.recordHistory(this.dragHistory);
+            }
+            this.dragHistory = null;
+
+            this.requestRender();
+            this.checkSolution();
+        }
+    }
+
+    /**
+     * Selection: tiles carry an isSelected flag; the group is dragged, rotated,
+     * duplicated and deleted together.
+     */
+    getSelection() {
+        return this.tiles.filter(t => t.isSelected);
+    }
+
+    clearSelection() {
+        this.tiles.forEach(t => t.isSelected = false);
+        this.updateSelectionBar();
+    }
+
+    selectAll() {
+        this.tiles.forEach(t => t.isSelected = true);
+        this.updateSelectionBar();
+        this.requestRender();
+    }
+
+    updateMarqueeSelection() {
+        const { x0, y0, x1, y1, base } = this.marquee;
+        const box = {
+            x: Math.min(x0, x1),
+            y: Math.min(y0, y1),
+            w: Math.abs(x1 - x0),
+            h: Math.abs(y1 - y0)
+        };
+
+        this.tiles.forEach(t => {
+            t.isSelected = base.includes(t) || t.overlapArea(box) > 0;
+        });
+        this.updateSelectionBar();
+    }
+
+    drawMarquee(ctx) {
+        const { x0, y0, x1, y1 } = this.marquee;
+        ctx.save();
+        ctx.fillStyle = 'rgba(99, 102, 241, 0.15)';
+        ctx.strokeStyle = '#6366f1';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.fillRect(Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0));
+        ctx.strokeRect(Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0));
+        ctx.restore();
+    }
+
+    updateSelectionBar() {
+        const count = this.tiles.filter(t => t.isSelected).length;
+        const bar = document.getElementById('selection-bar');
+        bar.querySelector('.message').textContent = `${count} tiles selected`;
+        bar.classList.toggle('hidden', count < 2);
+    }
+
+    getBounds(tiles) {
+        const minX = Math.min(...tiles.map(t => t.x));
+        const minY = Math.min(...tiles.map(t => t.y));
+        const maxX = Math.max(...tiles.map(t => t.x + t.w));
+        const maxY = Math.max(...tiles.map(t => t.y + t.h));
+        return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+    }
+
+    /**
+     * Turns the selection a quarter turn clockwise about its center.
+     */
+    rotateSelection() {
+        const group = this.getSelection();
+        if (group.length === 0) return;
+
+        this.recordHistory();
+        const bounds = this.getBounds(group);
+        const cx = bounds.x + bounds.w / 2;
+        const cy = bounds.y + bounds.h / 2;
+
+        group.forEach(t => {
+            const tx = t.x + t.w / 2;
+            const ty = t.y + t.h / 2;
+            // Square tiles keep their orientation, long tiles turn with the group
+            t.rotate();
+            t.x = cx - (ty - cy) - t.w / 2;
+            t.y = cy + (tx - cx) - t.h / 2;
+        });
+
+        this.requestRender();
+        this.checkSolution();
+    }
+
+    duplicateSelection() {
+        const group = this.getSelection();
+        if (group.length === 0) return;
+
+        this.recordHistory();
+        const offset = TILE_CONFIG.GAP * 2;
+        const copies = group.map(t => Tile.fromData({ ...t.serialize(), x: t.x + offset, y: t.y + offset }));
+
+        // The copies become the new selection so they can be dragged straight away
+        this.clearSelection();
+        copies.forEach(t => t.isSelected = true);
+        this.tiles.push(...copies);
+        this.updateSelectionBar();
+        this.requestRender();
+        this.checkSolution();
+    }
+
+    deleteSelection() {
+        const group = this.getSelection();
+        if (group.length === 0) return;
+
+        this.recordHistory();
+        this.tiles = this.tiles.filter(t => !t.isSelected);
+        this.updateSelectionBar();
+        this.requestRender();
+        this.checkSolution();
+    }
+
+    /**
+     * Keyboard access for the canvas. The focused tile (or the selection it
+     * belongs to) moves on the unit grid with the arrow keys; every change is
+     * announced through the live region.
+     */
+    handleKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        this.keyboardActive = true;
+
+        const key = e.key;
+        const lower = key.toLowerCase();
+        const arrows = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+        const spawnKeys = { '1': 'x2', '2': 'x', '3': 'one', '4': 'y2', '5': 'y', '6': 'xy' };
+
+        if (arrows[key]) {
+            const [dx, dy] = arrows[key];
+            // Shift steps a whole x length instead of one unit
+            const step = e.shiftKey ? TILE_CONFIG.SIZES.x : TILE_CONFIG.SIZES.u;
+            this.moveKeyboardTargets(dx * step, dy * step);
+        } else if (lower === 'n' || lower === 'p') {
+            this.keyMoving = false;
+            this.cycleFocus(lower === 'n' ? 1 : -1);
+        } else if (key === ' ') {
+            this.keyMoving = false;
+            this.toggleFocusedSelection();
+        } else if (lower === 'r') {
+            this.keyMoving = false;
+            this.rotateKeyboardTargets();
+        } else if (lower === 'f') {
+            this.keyMoving = false;
+            const targets = this.getKeyboardTargets();
+            if (targets.length > 0) this.flipTiles(targets);
+        } else if (key === 'Delete' || key === 'Backspace') {
+            this.keyMoving = false;
+            this.deleteKeyboardTargets();
+        } else if (spawnKeys[key]) {
+            this.keyMoving = false;
+            this.spawnTileFromKeyboard(spawnKeys[key]);
+        } else if (lower === 'c') {
+            this.keyMoving = false;
+            this.validateArrangement();
+        } else if (lower === 'h') {
+            this.keyMoving = false;
+            this.showHint();
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+        this.requestRender();
+    }
+
+    /**
+     * Tiles the keyboard acts on: the selection if the focused tile is part of
+     * it, otherwise just the focused tile.
+     */
+    getKeyboardTargets() {
+        if (!this.focusedTile || !this.tiles.includes(this.focusedTile)) return [];
+        return this.focusedTile.isSelected ? this.getSelection() : [this.focusedTile];
+    }
+
+    cycleFocus(direction) {
+        if (this.tiles.length === 0) {
+            this.announce('The board is empty. Press 1 to 6 to add a tile.');
+            return;
+        }
+
+        const index = this.tiles.indexOf(this.focusedTile);
+        const next = index === -1 ?
+            (direction > 0 ? 0 : this.tiles.length - 1) :
+            (index + direction + this.tiles.length) % this.tiles.length;
+
+        this.focusedTile = this.tiles[next];
+        this.announce(`${this.describeTile(this.focusedTile)}, tile ${next + 1} of ${this.tiles.length}` +
+            (this.focusedTile.isSelected ? ', selected' : ''));
+    }
+
+    toggleFocusedSelection() {
+        const tile = this.focusedTile;
+        if (!tile || !this.tiles.includes(tile)) return;
+
+        tile.isSelected = !tile.isSelected;
+        this.updateSelectionBar();
+        this.announce(`${tile.isSelected ? 'Selected' : 'Deselected'}. ${this.getSelection().length} selected`);
+    }
+
+    moveKeyboardTargets(dx, dy) {
+        const targets = this.getKeyboardTargets();
+        if (targets.length === 0) {
+            this.announce('No tile focused. Press N to focus a tile.');
+            return;
+        }
+
+        // A run of arrow presses is one undo step
+        if (!this.keyMoving) {
+            this.recordHistory();
+            this.keyMoving = true;
+        }
+
+        targets.forEach(t => {
+            t.x += dx;
+            t.y += dy;
+        });
 
-                this.dragTarget.isDragging = true;
-                this.dragOffset = {
-                    x: x - this.dragTarget.x,
-                    y: y - this.dragTarget.y
-                };
-                this.requestRender();
+        this.announce(targets.length === 1 ?
+            `Moved to ${this.describePosition(targets[0])}` :
+            `Moved ${targets.length} tiles to ${this.describePosition(this.focusedTile)}`);
+        this.checkSolution();
+    }
+
+    rotateKeyboardTargets() {
+        const targets = this.getKeyboardTargets();
+        if (targets.length > 1) {
+            this.rotateSelection();
+            this.announce(`Rotated ${targets.length} tiles`);
+        } else if (targets.length === 1) {
+            const tile = targets[0];
+            if (!tile.canRotate()) {
+                this.announce('Square tiles look the same when rotated');
                 return;
             }
+            this.recordHistory();
+            tile.rotate();
+            this.announce(`Rotated. ${this.describeTile(tile)}`);
+            this.checkSolution();
         }
     }
 
-    handleMouseMove(e) {
-        if (!this.dragTarget) return;
-        const { x, y } = this.getMousePos(e);
-        this.dragTarget.x = x - this.dragOffset.x;
-        this.dragTarget.y = y - this.dragOffset.y;
+    deleteKeyboardTargets() {
+        const targets = this.getKeyboardTargets();
+        if (targets.length === 0) return;
+
+        const index = this.tiles.indexOf(this.focusedTile);
+        this.recordHistory();
+        this.tiles = this.tiles.filter(t => !targets.includes(t));
+
+        // Focus moves on to the tile that took the deleted one's place
+        this.focusedTile = this.tiles.length > 0 ? this.tiles[Math.min(index, this.tiles.length - 1)] : null;
+        this.updateSelectionBar();
+        this.announce(`Deleted ${targets.length === 1 ? 'tile' : `${targets.length} tiles`}` +
+            (this.focusedTile ? `. Focus on ${this.describeTile(this.focusedTile)}` : '. The board is empty'));
+        this.checkSolution();
+    }
+
+    /**
+     * Toggles the sign of the given tiles.
+     */
+    flipTiles(tiles) {
+        this.recordHistory();
+        tiles.forEach(t => t.flip());
+        this.announce(tiles.length === 1 ?
+            `Flipped to ${this.describeTile(tiles[0])}` :
+            `Flipped ${tiles.length} tiles`);
+
+        // Flipping onto an opposite tile can make a zero pair
+        if (tiles.length === 1) this.detectZeroPair(tiles[0]);
         this.requestRender();
+        this.checkSolution();
     }
 
-    handleMouseUp(e) {
-        if (this.dragTarget) {
+    /**
+     * Adds a tile next to the focused one (or in the middle of the canvas) and focuses it.
+     */
+    spawnTileFromKeyboard(type) {
+        const isNeg = this.paletteSigns[type];
+        const anchor = this.tiles.includes(this.focusedTile) ? this.focusedTile : null;
+        const tile = new Tile(type, 0, 0, isNeg);
+
+        if (anchor) {
+            tile.x = anchor.x + anchor.w;
+            tile.y = anchor.y;
+        } else {
+            const U = TILE_CONFIG.SIZES.u;
+            // Keep it on the unit grid so arrow moves line up with other tiles
+            const center = this.getViewCenter();
+            tile.x = Math.round((center.x - tile.w / 2) / U) * U;
+            tile.y = Math.round((center.y - tile.h / 2) / U) * U;
+        }
 
-            // Check Sidebar (Delete Zone)
-            const trashZone = document.getElementById('trash-zone');
-            const trashRect = trashZone.getBoundingClientRect();
+        this.recordHistory();
+        this.keyMoving = false;
+        this.clearSelection();
+        this.tiles.push(tile);
+        this.focusedTile = tile;
+        this.announce(`Added ${this.describeTile(tile)}`);
+        this.requestRender();
+        this.checkSolution();
+    }
 
-            // Client coords
-            const mx = e.clientX;
-            const my = e.clientY;
+    describeTile(tile) {
+        const names = { x2: 'x squared', x: 'x', one: 'unit', y2: 'y squared', y: 'y', xy: 'x y' };
+        let text = `${tile.isNegative ? 'negative' : 'positive'} ${names[tile.type]} tile`;
+        if (tile.canRotate()) text += tile.rotation === 1 ? ', vertical' : ', horizontal';
+        return `${text}, at ${this.describePosition(tile)}`;
+    }
 
-            if (mx >= trashRect.left && mx <= trashRect.right &&
-                my >= trashRect.top && my <= trashRect.bottom) {
-                // Delete
-                const idx = this.tiles.indexOf(this.dragTarget);
-                if (idx > -1) this.tiles.splice(idx, 1);
+    describePosition(tile) {
+        const U = TILE_CONFIG.SIZES.u;
+        return `column ${Math.round(tile.x / U)}, row ${Math.round(tile.y / U)}`;
+    }
+
+    /**
+     * Queues a message for the screen-reader live region. Messages from the same
+     * action are read together.
+     */
+    announce(message) {
+        const region = document.getElementById('sr-status');
+        if (!this.announcements) this.announcements = [];
+
+        if (this.announcements.length === 0) {
+            // Clearing first makes repeated messages get read again
+            region.textContent = '';
+            setTimeout(() => {
+                region.textContent = this.announcements.join('. ');
+                this.announcements = [];
+            }, 100);
+        }
+        this.announcements.push(message);
+    }
+
+    drawFocusRing(ctx, tile) {
+        ctx.save();
+        ctx.strokeStyle = TILE_CONFIG.COLORS.ink;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 3]);
+        ctx.strokeRect(tile.x - 5, tile.y - 5, tile.w + 10, tile.h + 10);
+        ctx.restore();
+    }
+
+    /**
+     * The entered polynomial: a x² + b x + c, plus the xy, y² and y coefficients.
+     */
+    getCoefficients() {
+        const read = (id) => parseInt(document.getElementById(id).value) || 0;
+        return {
+            a: read('coeff-a'),
+            b: read('coeff-b'),
+            c: read('coeff-c'),
+            xy: read('coeff-xy'),
+            y2: read('coeff-y2'),
+            y: read('coeff-y')
+        };
+    }
+
+    /**
+     * Frame factors (mx + ry + p)(nx + sy + q).
+     */
+    getFactorInputs() {
+        const read = (id) => parseInt(document.getElementById(id).value) || 0;
+        return {
+            m: read('factor-m'),
+            r: read('factor-r'),
+            p: read('factor-p'),
+            n: read('factor-n'),
+            s: read('factor-s'),
+            q: read('factor-q')
+        };
+    }
+
+    samePolynomial(p1, p2) {
+        return ['a', 'b', 'c', 'xy', 'y2', 'y'].every(key => (p1[key] || 0) === (p2[key] || 0));
+    }
+
+    /**
+     * The polynomial the board should add up to: the entered quadratic, or in
+     * multiply mode the product of the frame's factors.
+     */
+    getTargetPolynomial() {
+        if (this.mode === 'multiply') {
+            const [w, h] = this.factorSides(this.frame ? this.frame.factors : this.getFactorInputs());
+            return this.expandProduct(w, h);
+        }
+        return this.getCoefficients();
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        // A panel can serve several modes, e.g. data-mode="factor square"
+        document.querySelectorAll('.mode-panel').forEach(panel => {
+            panel.hidden = !panel.getAttribute('data-mode').split(' ').includes(mode);
+        });
+
+        // Practice problems arrive on their own, so there's nothing to confirm
+        document.getElementById('btn-confirm-equation').hidden = mode === 'practice';
+        if (mode !== 'practice') this.stopPracticeTimer();
+
+        this.closeGuide();
+        this.dismissZeroPair();
+        this.hideFeedback();
+        this.tiles = [];
+        this.frame = null;
+        this.mat = null;
+        this.square = null;
+        this.division = null;
+        this.tray = null;
+        this.resetHints();
+        this.clearHistory();
+        this.checkSolution();
+        document.getElementById('equation-display').innerHTML = '';
+        if (mode === 'practice') this.renderPracticeStats();
+    }
+
+    /**
+     * Graded hints for building the rectangle, one level per request:
+     * 1. tile counts against the equation, 2. gaps and stray tiles,
+     * 3. an outline of the finished rectangle, 4. where one more tile goes.
+     * Levels start over when the target changes; every hint is logged.
+     */
+    showHint() {
+        if (!['factor', 'multiply', 'practice'].includes(this.mode)) {
+            this.showFeedback("Hints cover building rectangles. Switch to factoring, multiplying or practice.", false);
+            return;
+        }
+
+        const target = this.getTargetPolynomial();
+        const key = `${this.mode}:${JSON.stringify(target)}`;
+        if (key !== this.hints.key) this.resetHints(key);
+
+        const current = this.practice && this.mode === 'practice' ? this.practice.current : null;
+        if (this.mode === 'practice' && (!current || current.outcome)) return;
+
+        this.closeGuide();
+        this.dismissZeroPair();
+
+        // Tile counts need no factorization; the later levels build on one
+        const factors = this.mode === 'multiply' && this.frame ? this.frame.factors : this.factorPolynomial(target);
+        const layout = factors ? this.computeFactorLayout(factors) : null;
+        const level = layout ? Math.min(this.hints.level + 1, 4) : 1;
+        this.hints.level = level;
+
+        const hint = [null, this.getCountHint, this.getShapeHint, this.getOutlineHint, this.getTileHint][level]
+            .call(this, target, layout);
+
+        this.hints.log.push({ level, text: hint });
+        this.renderHintLog();
+        this.showFeedback(`Hint ${level}: ${hint}`, true);
+        this.requestRender();
+
+        if (current) {
+            current.hints++;
+            this.renderPracticeStats();
+        }
+    }
+
+    // "a", "a and b", "a, b and c"
+    joinList(items) {
+        return items.length < 2 ? items.join('') : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+    }
+
+    resetHints(key = null) {
+        this.hints = { key, level: 0, log: [] };
+        this.hintMarks = null;
+        this.renderHintLog();
+    }
+
+    renderHintLog() {
+        const list = document.getElementById('hint-log');
+        list.innerHTML = '';
+        for (const entry of this.hints.log) {
+            const item = document.createElement('li');
+            item.textContent = `Hint ${entry.level}: ${entry.text}`;
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Level 1: what the board adds up to against the equation, and what to
+     * add or take away.
+     */
+    getCountHint(target, layout) {
+        this.hintMarks = null;
+        const total = this.getBoardTotal(this.tiles);
+        const names = { a: 'x²', xy: 'xy', y2: 'y²', b: 'x', y: 'y', c: 'unit' };
+        const keys = { x2: 'a', x: 'b', one: 'c', y2: 'y2', y: 'y', xy: 'xy' };
+
+        // Adding a negative tile always works where there's too much
+        const changes = Object.keys(names).filter(key => total[key] !== target[key]).map(key => {
+            const diff = target[key] - total[key];
+            const tiles = Math.abs(diff) === 1 ? 'tile' : 'tiles';
+            return `${Math.abs(diff)} ${diff < 0 ? 'negative ' : ''}${names[key]} ${tiles}`;
+        });
+
+        let hint = changes.length === 0
+            ? `The board adds up to ${this.formatPolynomial(target)}, the right tiles.`
+            : `The board adds up to ${this.formatPolynomial(total)}, but you need ` +
+                `${this.formatPolynomial(target)}. Add ${this.joinList(changes)}.`;
+
+        // Cut-back sides need tiles of both signs, which the totals hide
+        if (layout) {
+            const paired = TILE_TYPES.filter(type =>
+                layout.tiles.some(t => t.type === type && t.isNegative) &&
+                layout.tiles.some(t => t.type === type && !t.isNegative));
+            if (paired.length > 0) {
+                hint += ` The rectangle also needs zero pairs of ${this.joinList(paired.map(type => names[keys[type]]))} tiles.`;
+            }
+        } else {
+            hint += " This one has no integer factorization, so the tiles can't make a rectangle.";
+        }
+
+        return hint;
+    }
+
+    /**
+     * Level 2: marks holes inside the main group of tiles, and tiles that
+     * aren't joined to it.
+     */
+    getShapeHint() {
+        const clusters = this.getTileClusters(this.tiles);
+        if (clusters.length === 0) {
+            this.hintMarks = null;
+            return "Start with the x² tiles in the top left corner.";
+        }
+
+        const main = clusters.reduce((best, cluster) => cluster.length > best.length ? cluster : best);
+        const strays = this.tiles.filter(t => !main.includes(t));
+        const gaps = this.findGaps(main);
+        this.hintMarks = { gaps, strays };
+
+        if (gaps.length === 0 && strays.length === 0) {
+            return "No gaps or stray tiles. Compare the side lengths with the equation.";
+        }
+
+        const parts = [];
+        if (gaps.length > 0) parts.push(`${gaps.length} gap${gaps.length === 1 ? '' : 's'}`);
+        if (strays.length > 0) parts.push(`${strays.length} stray tile${strays.length === 1 ? '' : 's'}`);
+        return `Highlighted: ${parts.join(' and ')}.`;
+    }
+
+    /**
+     * Level 3: a dashed outline the size of the finished rectangle.
+     */
+    getOutlineHint(target, layout) {
+        const { x, y } = this.getHintAnchor(layout);
+        this.hintMarks = { outline: { x, y, w: layout.width, h: layout.height } };
+        return "The dashed outline shows the size of the finished rectangle.";
+    }
+
+    /**
+     * Level 4: the first tile of the solution that isn't on the board yet.
+     * Asking again shows the next one.
+     */
+    getTileHint(target, layout) {
+        const anchor = this.getHintAnchor(layout);
+        const tol = TILE_CONFIG.SIZES.u / 4;
+        const outline = { ...anchor, w: layout.width, h: layout.height };
+
+        // Each board tile can stand for only one tile of the solution
+        const unused = [...this.tiles];
+        const missing = layout.tiles.find(spec => {
+            const match = unused.find(t => t.type === spec.type && t.isNegative === spec.isNegative &&
+                t.rotation === spec.rotation &&
+                Math.abs(t.x - (anchor.x + spec.x)) < tol && Math.abs(t.y - (anchor.y + spec.y)) < tol);
+            if (match) unused.splice(unused.indexOf(match), 1);
+            return !match;
+        });
+
+        if (!missing) {
+            this.hintMarks = { outline };
+            return "Every tile is in place. Press Check Solution.";
+        }
+
+        const tile = new Tile(missing.type, anchor.x + missing.x, anchor.y + missing.y, missing.isNegative);
+        tile.rotation = missing.rotation;
+        tile.updateDimensions();
+        this.hintMarks = { outline, tile };
+        const names = { x2: 'x²', x: 'x', one: 'unit', y2: 'y²', y: 'y', xy: 'xy' };
+        return `A ${tile.isNegative ? 'negative' : 'positive'} ${names[tile.type]} tile goes in the highlighted spot.`;
+    }
+
+    /**
+     * Where the solution's top left corner goes: the frame's interior, the
+     * board's top left x² tile, or the top left of the tiles.
+     */
+    getHintAnchor(layout) {
+        if (this.mode === 'multiply' && this.frame) return { x: this.frame.x, y: this.frame.y };
+
+        const first = layout.tiles.find(spec => spec.type === 'x2' && !spec.isNegative);
+        const squares = this.tiles.filter(t => t.type === 'x2' && !t.isNegative);
+        if (first && squares.length > 0) {
+            const corner = squares.reduce((best, t) => t.x + t.y < best.x + best.y ? t : best);
+            return { x: corner.x - first.x, y: corner.y - first.y };
+        }
+
+        if (this.tiles.length > 0) {
+            const bounds = this.getBounds(this.tiles);
+            return { x: bounds.x, y: bounds.y };
+        }
+        const center = this.getViewCenter();
+        return { x: center.x - layout.width / 2, y: center.y - layout.height / 2 };
+    }
+
+    /**
+     * Groups tiles that touch or overlap.
+     */
+    getTileClusters(tiles) {
+        const tol = 0.5;
+        const touching = (t1, t2) =>
+            t1.x <= t2.x + t2.w + tol && t2.x <= t1.x + t1.w + tol &&
+            t1.y <= t2.y + t2.h + tol && t2.y <= t1.y + t1.h + tol;
+
+        const clusters = [];
+        const seen = new Set();
+        for (const start of tiles) {
+            if (seen.has(start)) continue;
+            const cluster = [start];
+            seen.add(start);
+            for (let i = 0; i < cluster.length; i++) {
+                for (const t of tiles) {
+                    if (!seen.has(t) && touching(cluster[i], t)) {
+                        seen.add(t);
+                        cluster.push(t);
+                    }
+                }
+            }
+            clusters.push(cluster);
+        }
+        return clusters;
+    }
+
+    /**
+     * Empty cells inside the bounds of a group of tiles, on the grid made by
+     * the tiles' own edges.
+     */
+    findGaps(tiles) {
+        const tol = 1;
+        const lines = (values) => {
+            const sorted = [...values].sort((v1, v2) => v1 - v2);
+            return sorted.filter((v, i) => i === 0 || v - sorted[i - 1] > tol);
+        };
+        const xs = lines(tiles.flatMap(t => [t.x, t.x + t.w]));
+        const ys = lines(tiles.flatMap(t => [t.y, t.y + t.h]));
+
+        const gaps = [];
+        for (let i = 0; i < xs.length - 1; i++) {
+            for (let j = 0; j < ys.length - 1; j++) {
+                const cx = (xs[i] + xs[i + 1]) / 2;
+                const cy = (ys[j] + ys[j + 1]) / 2;
+                if (!tiles.some(t => t.contains(cx, cy))) {
+                    gaps.push({ x: xs[i], y: ys[j], w: xs[i + 1] - xs[i], h: ys[j + 1] - ys[j] });
+                }
+            }
+        }
+        return gaps;
+    }
+
+    drawHintMarks(ctx) {
+        const { gaps = [], strays = [], outline, tile } = this.hintMarks;
+
+        ctx.save();
+        ctx.strokeStyle = TILE_CONFIG.COLORS.ink;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+
+        ctx.fillStyle = TILE_CONFIG.COLORS.guide;
+        for (const gap of gaps) {
+            ctx.globalAlpha = 0.35;
+            ctx.fillRect(gap.x, gap.y, gap.w, gap.h);
+            ctx.globalAlpha = 1;
+            ctx.strokeRect(gap.x, gap.y, gap.w, gap.h);
+        }
+
+        for (const t of strays) {
+            ctx.strokeRect(t.x - 4, t.y - 4, t.w + 8, t.h + 8);
+        }
+
+        if (outline) {
+            ctx.strokeStyle = TILE_CONFIG.COLORS.guide;
+            ctx.lineWidth = 3;
+            ctx.strokeRect(outline.x, outline.y, outline.w, outline.h);
+        }
+
+        if (tile) {
+            ctx.globalAlpha = 0.5;
+            tile.draw(ctx);
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = TILE_CONFIG.COLORS.ink;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(tile.x, tile.y, tile.w, tile.h);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Practice Mode: generated factorable quadratics, one at a time, scored
+     * through validateArrangement. Problems are written into the coefficient
+     * inputs so every other code path treats them like a typed-in equation.
+     */
+    startPracticeSession() {
+        this.practice = {
+            level: document.getElementById('practice-level').value,
+            results: [],
+            current: null,
+            streak: 0,
+            bestStreak: 0
+        };
+        this.nextPracticeProblem();
+    }
+
+    nextPracticeProblem() {
+        const practice = this.practice;
+        if (!practice) return;
+
+        // Leaving an unsolved problem counts as a skip
+        if (practice.current && !practice.current.outcome) this.finishPracticeProblem('skipped');
+
+        const previous = practice.current ? practice.current.problem : null;
+        let problem;
+        do {
+            problem = this.generatePracticeProblem(practice.level);
+        } while (previous && problem.a === previous.a && problem.b === previous.b && problem.c === previous.c);
+
+        practice.current = {
+            problem,
+            startTime: Date.now(),
+            attempts: 0,
+            hints: 0,
+            revealed: false,
+            outcome: null
+        };
+
+        document.getElementById('coeff-a').value = problem.a;
+        document.getElementById('coeff-b').value = problem.b;
+        document.getElementById('coeff-c').value = problem.c;
+        ['coeff-xy', 'coeff-y2', 'coeff-y'].forEach(id => document.getElementById(id).value = 0);
+
+        if (this.tiles.length > 0) this.recordHistory();
+        this.closeGuide();
+        this.dismissZeroPair();
+        this.hideFeedback();
+        this.tiles = [];
+        this.tray = null;
+        this.requestRender();
+        this.checkSolution();
+        this.updateEquationDisplay();
+
+        document.getElementById('btn-practice-hint').disabled = false;
+        document.getElementById('btn-practice-next').disabled = false;
+        document.getElementById('btn-practice-next').textContent = 'Skip';
+        this.startPracticeTimer();
+        this.renderPracticeStats();
+    }
+
+    /**
+     * Builds a random (mx + p)(nx + q) for the difficulty level and expands it.
+     * Levels: 'basic' (a = 1, positive), 'mixed' (a = 1, mixed signs),
+     * 'leading' (a > 1) and 'squares' (difference of squares).
+     */
+    generatePracticeProblem(level) {
+        const randomInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+        const randomNonZero = (limit) => randomInt(1, limit) * (Math.random() < 0.5 ? -1 : 1);
+
+        let factors;
+        do {
+            if (level === 'mixed') {
+                // At least one negative constant
+                const p = randomNonZero(6);
+                const q = p > 0 ? -randomInt(1, 6) : randomNonZero(6);
+                factors = { m: 1, n: 1, p, q };
+            } else if (level === 'leading') {
+                factors = { m: randomInt(1, 2), n: randomInt(2, 3), p: randomInt(1, 4), q: randomInt(1, 4) };
+            } else if (level === 'squares') {
+                const m = randomInt(1, 2);
+                const k = randomInt(1, 5);
+                factors = { m, n: m, p: k, q: -k };
             } else {
-                this.snapToNeighbors(this.dragTarget);
+                factors = { m: 1, n: 1, p: randomInt(1, 6), q: randomInt(1, 6) };
+            }
+            // The rectangle has to be drawable at the current x length
+        } while (!this.computeFactorLayout(factors));
+
+        const { m, n, p, q } = factors;
+        return { a: m * n, b: m * q + n * p, c: p * q };
+    }
+
+    checkPracticeAttempt() {
+        const current = this.practice ? this.practice.current : null;
+        if (!current || current.outcome) {
+            this.validateArrangement();
+            return;
+        }
+
+        current.attempts++;
+        if (this.validateArrangement()) {
+            this.finishPracticeProblem(current.revealed ? 'revealed' : 'solved');
+            document.getElementById('btn-practice-next').textContent = 'Next Problem';
+        } else {
+            this.practice.streak = 0;
+            this.renderPracticeStats();
+        }
+    }
+
+    finishPracticeProblem(outcome) {
+        const practice = this.practice;
+        const current = practice.current;
+
+        current.outcome = outcome;
+        current.seconds = Math.round((Date.now() - current.startTime) / 1000);
+        practice.results.push(current);
+
+        // Only clean first-try solves (no wrong checks, no reveal) build a streak
+        if (outcome === 'solved' && current.attempts === 1) {
+            practice.streak++;
+            practice.bestStreak = Math.max(practice.bestStreak, practice.streak);
+        } else {
+            practice.streak = 0;
+        }
+
+        this.stopPracticeTimer();
+        document.getElementById('btn-practice-hint').disabled = true;
+        this.renderPracticeStats();
+    }
+
+    /**
+     * Solve and Step by Step show the answer, so the problem no longer scores.
+     */
+    markPracticeRevealed() {
+        const current = this.practice ? this.practice.current : null;
+        if (current && !current.outcome) current.revealed = true;
+    }
+
+    startPracticeTimer() {
+        this.stopPracticeTimer();
+        this.practiceTimer = setInterval(() => this.renderPracticeStats(), 1000);
+    }
+
+    stopPracticeTimer() {
+        if (this.practiceTimer) clearInterval(this.practiceTimer);
+        this.practiceTimer = null;
+    }
+
+    renderPracticeStats() {
+        const stats = document.getElementById('practice-stats');
+        const list = document.getElementById('practice-history');
+        const practice = this.practice;
+
+        if (!practice) {
+            stats.textContent = 'Start a session to get your first problem.';
+            list.innerHTML = '';
+            return;
+        }
+
+        const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        const current = practice.current;
+        const elapsed = current.outcome ? current.seconds : Math.round((Date.now() - current.startTime) / 1000);
+        const solved = practice.results.filter(r => r.outcome === 'solved');
+        const hints = practice.results.reduce((sum, r) => sum + r.hints, 0) + (current.outcome ? 0 : current.hints);
+        const average = solved.length > 0 ?
+            formatTime(Math.round(solved.reduce((sum, r) => sum + r.seconds, 0) / solved.length)) : '–';
+
+        const items = [
+            ['Problem', practice.results.length + (current.outcome ? 0 : 1)],
+            ['Solved', solved.length],
+            ['Streak', `${practice.streak} (best ${practice.bestStreak})`],
+            ['Hints used', hints],
+            ['Time', formatTime(elapsed)],
+            ['Avg. solve', average]
+        ];
+        stats.innerHTML = '';
+        for (const [label, value] of items) {
+            const cell = document.createElement('span');
+            cell.textContent = `${label}: `;
+            const strong = document.createElement('strong');
+            strong.textContent = value;
+            cell.appendChild(strong);
+            stats.appendChild(cell);
+        }
+
+        list.innerHTML = '';
+        for (const result of practice.results) {
+            const { a, b, c } = result.problem;
+            const item = document.createElement('li');
+            item.className = result.outcome === 'solved' ? 'solved' : 'missed';
+            item.textContent = `${this.formatQuadratic(a, b, c)}: ${result.outcome}, ` +
+                `${formatTime(result.seconds)}, ${result.hints} hint${result.hints === 1 ? '' : 's'}`;
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Multiply mode: lays the two entered factors out as the top and left sides
+     * of a frame for the user to fill in.
+     */
+    setupFrame() {
+        const factors = this.getFactorInputs();
+
+        if (factors.m < 0 || factors.n < 0 || factors.r < 0 || factors.s < 0) {
+            this.showFeedback("Use x and y coefficients of 0 or more for the frame.", false);
+            return;
+        }
+
+        const frame = this.buildFrame(factors);
+        if (!frame) {
+            this.showFeedback("A factor can't be shorter than nothing. Check the negative constants.", false);
+            return;
+        }
+
+        if (this.tiles.length > 0) this.recordHistory();
+        this.hideFeedback();
+        this.closeGuide();
+        this.frame = frame;
+        this.tiles = [];
+        this.tray = null;
+        this.checkSolution();
+        this.updateEquationDisplay();
+    }
+
+    buildFrame(factors) {
+        const layout = this.computeFactorLayout(factors);
+        if (!layout) return null;
+
+        const U = TILE_CONFIG.SIZES.u;
+        const gap = TILE_CONFIG.GAP;
+
+        // Interior centered in the view, the factors sit just outside it
+        const center = this.getViewCenter();
+        const x = center.x - layout.width / 2;
+        const y = center.y - layout.height / 2;
+        const tiles = [];
+        const tileType = { x: 'x', y: 'y', u: 'one' };
+
+        // The factor strips are laid out the same way round as the interior
+        const { cols, rows } = layout;
+        for (const cell of cols.cells) {
+            tiles.push(new Tile(tileType[cell.kind], x + cell.offset, y - U - gap, cell.sign * cols.sign < 0));
+        }
+
+        for (const cell of rows.cells) {
+            const t = new Tile(tileType[cell.kind], 0, 0, cell.sign * rows.sign < 0);
+            t.rotate();
+            t.x = x - U - gap;
+            t.y = y + cell.offset;
+            tiles.push(t);
+        }
+
+        return { factors, x, y, width: layout.width, height: layout.height, tiles };
+    }
+
+    drawFrame(ctx) {
+        const { x, y, width, height, tiles } = this.frame;
+
+        ctx.save();
+        ctx.globalAlpha = 0.6;
+        tiles.forEach(t => t.draw(ctx));
+        ctx.restore();
+
+        // Outline of the interior to fill
+        ctx.save();
+        ctx.strokeStyle = TILE_CONFIG.COLORS.guide;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([8, 6]);
+        ctx.strokeRect(x, y, width, height);
+        ctx.restore();
+    }
+
+    /**
+     * Converts plain-text math from formatLinear/formatQuadratic to TeX.
+     */
+    toTeX(text) {
+        return text.replace(/−/g, '-').replace(/²/g, '^2');
+    }
+
+    updateEquationDisplay() {
+        const display = document.getElementById('equation-display');
+
+        if (this.mode === 'multiply') {
+            if (!this.frame) {
+                display.innerHTML = '';
+                return;
+            }
+
+            // The factors, expanded once the interior forms a matching rectangle
+            const [f1, f2] = this.factorSides(this.frame.factors);
+            let eq = `(${this.formatSide(f1)})(${this.formatSide(f2)})`;
+            if (this.dimensions) {
+                eq += ` = ${this.formatPolynomial(this.getTargetPolynomial())}`;
+            }
+
+            display.innerHTML = `$${this.toTeX(eq)}$`;
+            if (window.MathJax) {
+                MathJax.typesetPromise([display]);
+            }
+            return;
+        }
+
+        if (this.mode === 'divide') {
+            display.innerHTML = this.division ? `$${this.toTeX(this.formatDivision())}$` : '';
+            if (window.MathJax) {
+                MathJax.typesetPromise([display]);
+            }
+            return;
+        }
+
+        let eq = this.toTeX(this.formatPolynomial(this.getCoefficients()));
+
+        // Pair the expanded form with the factors read off a valid rectangle
+        if (this.dimensions) eq += ` = ${this.toTeX(this.dimensions.factored)}`;
+        else if (this.square && this.square.vertex) eq += ` = ${this.toTeX(this.square.vertex)}`;
+
+        display.innerHTML = `$${eq}$`;
+
+        if (window.MathJax) {
+            MathJax.typesetPromise([display]);
+        }
+    }
+
+    /**
+     * Lattice snapping: every tile near the dragged group offers landing spots
+     * a whole number of units from its edges, on either side. The closest spot
+     * wins unless it makes a tile overlap only tiles of its own sign, since
+     * covering an opposite tile is a deliberate cut. When no spot nearby is
+     * allowed and the drop itself sits on same-sign tiles, the group moves to
+     * the nearest clear spot instead. Returns the { dx, dy } to move the group
+     * by, or null to leave it where it was dropped.
+     */
+    findSnap(group) {
+        const U = TILE_CONFIG.SIZES.u;
+        const snapDist = U * 0.6;
+        const box = this.getBounds(group);
+        const others = this.tiles.filter(t => !group.includes(t));
+
+        const near = others.filter(o =>
+            o.x < box.x + box.w + snapDist && o.x + o.w > box.x - snapDist &&
+            o.y < box.y + box.h + snapDist && o.y + o.h > box.y - snapDist);
+        if (near.length === 0) return null;
+
+        // The nearest lattice point to pos for each way of lining up with each neighbour
+        const candidates = (pos, size, edges) => {
+            const values = new Set();
+            for (const [start, end] of edges) {
+                for (const anchor of [start, end, start - size, end - size]) {
+                    const value = anchor + Math.round((pos - anchor) / U) * U;
+                    if (Math.abs(value - pos) <= snapDist) values.add(Math.round(value * 100) / 100);
+                }
+            }
+            return [...values].sort((v1, v2) => Math.abs(v1 - pos) - Math.abs(v2 - pos)).slice(0, 6);
+        };
+        const xs = candidates(box.x, box.w, near.map(o => [o.x, o.x + o.w]));
+        const ys = candidates(box.y, box.h, near.map(o => [o.y, o.y + o.h]));
+
+        let best = null;
+        for (const x of xs) {
+            for (const y of ys) {
+                const dx = x - box.x;
+                const dy = y - box.y;
+                const distance = Math.hypot(dx, dy);
+                if (best && distance >= best.distance) continue;
+
+                const touches = near.some(o =>
+                    o.x <= x + box.w + 0.5 && o.x + o.w >= x - 0.5 &&
+                    o.y <= y + box.h + 0.5 && o.y + o.h >= y - 0.5);
+                if (!touches || !this.isDeliberateOverlap(group, dx, dy, others)) continue;
+
+                best = { dx, dy, distance };
+            }
+        }
+
+        if (best) return { dx: best.dx, dy: best.dy };
+        if (this.isDeliberateOverlap(group, 0, 0, others)) return null;
+        return this.findClearSpot(group, others);
+    }
+
+    /**
+     * Searches outward a unit at a time, ring by ring, for the closest offset
+     * that leaves no same-sign overlap uncut.
+     */
+    findClearSpot(group, others) {
+        const U = TILE_CONFIG.SIZES.u;
+        const maxRings = 20;
+
+        for (let ring = 1; ring <= maxRings; ring++) {
+            let best = null;
+            for (let i = -ring; i <= ring; i++) {
+                for (let j = -ring; j <= ring; j++) {
+                    if (Math.max(Math.abs(i), Math.abs(j)) !== ring) continue;
+                    const dx = i * U;
+                    const dy = j * U;
+                    const distance = Math.hypot(dx, dy);
+                    if (best && distance >= best.distance) continue;
+                    if (this.isDeliberateOverlap(group, dx, dy, others)) best = { dx, dy, distance };
+                }
+            }
+            if (best) return { dx: best.dx, dy: best.dy };
+        }
+        return null;
+    }
+
+    /**
+     * True unless moving the group by (dx, dy) would leave one of its tiles
+     * overlapping a tile of the same sign somewhere no opposite tile cuts.
+     */
+    isDeliberateOverlap(group, dx, dy, others) {
+        const minArea = 1;
+        const clip = (a, b) => {
+            const x = Math.max(a.x, b.x);
+            const y = Math.max(a.y, b.y);
+            const w = Math.min(a.x + a.w, b.x + b.w) - x;
+            const h = Math.min(a.y + a.h, b.y + b.h) - y;
+            return w > 0 && h > 0 ? { x, y, w, h } : null;
+        };
+        // Area of the union of rects, counted over the grid their edges make
+        const unionArea = rects => {
+            const xs = [...new Set(rects.flatMap(r => [r.x, r.x + r.w]))].sort((a, b) => a - b);
+            const ys = [...new Set(rects.flatMap(r => [r.y, r.y + r.h]))].sort((a, b) => a - b);
+            let area = 0;
+            for (let i = 0; i < xs.length - 1; i++) {
+                for (let j = 0; j < ys.length - 1; j++) {
+                    const mx = (xs[i] + xs[i + 1]) / 2;
+                    const my = (ys[j] + ys[j + 1]) / 2;
+                    if (rects.some(r => mx > r.x && mx < r.x + r.w && my > r.y && my < r.y + r.h)) {
+                        area += (xs[i + 1] - xs[i]) * (ys[j + 1] - ys[j]);
+                    }
+                }
             }
+            return area;
+        };
+
+        return group.every(t => {
+            const moved = { x: t.x + dx, y: t.y + dy, w: t.w, h: t.h };
+            const cuts = others.filter(o => o.isNegative !== t.isNegative);
+            return others.every(o => {
+                if (o.isNegative !== t.isNegative) return true;
+                const overlap = clip(moved, o);
+                if (!overlap || overlap.w * overlap.h <= minArea) return true;
+                const cut = unionArea(cuts.map(c => clip(overlap, c)).filter(Boolean));
+                return overlap.w * overlap.h - cut <= minArea;
+            });
+        });
+    }
+
+    drawSnapPreview(ctx) {
+        const { dx, dy } = this.snapPreview;
 
-            this.dragTarget.isDragging = false;
-            this.dragTarget = null;
-            this.requestRender();
-            this.checkSolution();
+        ctx.save();
+        ctx.strokeStyle = TILE_CONFIG.COLORS.ink;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([5, 4]);
+        for (const t of this.dragGroup) {
+            ctx.globalAlpha = 0.2;
+            ctx.fillStyle = t.getColor();
+            ctx.fillRect(t.x + dx, t.y + dy, t.w, t.h);
+            ctx.globalAlpha = 0.8;
+            ctx.strokeRect(t.x + dx, t.y + dy, t.w, t.h);
         }
+        ctx.restore();
     }
 
-    updateEquationDisplay() {
-        const a = parseInt(document.getElementById('coeff-a').value) || 0;
-        const b = parseInt(document.getElementById('coeff-b').value) || 0;
-        const c = parseInt(document.getElementById('coeff-c').value) || 0;
-
-        // Format terms
-        const termA = a !== 0 ? (a === 1 ? 'x^2' : (a === -1 ? '-x^2' : `${a}x^2`)) : '';
+    /**
+     * Looks for a tile of the same type and orientation but opposite sign that
+     * the dropped tile covers or sits flush against, and offers to cancel them.
+     */
+    detectZeroPair(tile) {
+        const tol = 1;
+        const partner = this.tiles.find(other => {
+            if (other === tile || other.type !== tile.type || other.isNegative === tile.isNegative) return false;
+            if (other.w !== tile.w || other.h !== tile.h) return false;
+            if (this.mat && this.getMatSide(other) !== this.getMatSide(tile)) return false;
+
+            // Dropped on top of each other
+            if (tile.overlapArea(other) >= (tile.w * tile.h) / 2) return true;
+
+            // Sitting together along a full edge
+            const dx = Math.abs(tile.x - other.x);
+            const dy = Math.abs(tile.y - other.y);
+            return (Math.abs(dx - tile.w) <= tol && dy <= tol) ||
+                (Math.abs(dy - tile.h) <= tol && dx <= tol);
+        });
 
-        let termB = '';
-        if (b !== 0) {
-            if (b > 0) termB = a !== 0 ? ` + ${b === 1 ? 'x' : `${b}x`}` : `${b === 1 ? 'x' : `${b}x`}`;
-            else termB = ` - ${Math.abs(b) === 1 ? 'x' : `${Math.abs(b)}x`}`;
-        }
+        if (!partner) return;
 
-        let termC = '';
-        if (c !== 0) {
-            if (c > 0) termC = (a !== 0 || b !== 0) ? ` + ${c}` : `${c}`;
-            else termC = ` - ${Math.abs(c)}`;
-        }
+        this.pendingZeroPair = [tile, partner];
+        tile.isHighlighted = true;
+        partner.isHighlighted = true;
 
-        let eq = `${termA}${termB}${termC}`;
-        if (!eq) eq = '0';
+        const label = tile.getLabel();
+        const prompt = document.getElementById('zero-pair-prompt');
+        prompt.querySelector('.message').textContent = `+${label} and −${label} make a zero pair.`;
+        prompt.classList.remove('hidden');
+    }
 
-        const display = document.getElementById('equation-display');
-        display.innerHTML = `$${eq}$`;
+    removeZeroPair() {
+        if (!this.pendingZeroPair) return;
+        this.recordHistory();
+        const [t1, t2] = this.pendingZeroPair;
+        this.tiles = this.tiles.filter(t => t !== t1 && t !== t2);
+        this.dismissZeroPair();
+        this.requestRender();
+        this.checkSolution();
+    }
 
-        if (window.MathJax) {
-            MathJax.typesetPromise([display]);
+    dismissZeroPair() {
+        if (this.pendingZeroPair) {
+            this.pendingZeroPair.forEach(t => t.isHighlighted = false);
+            this.pendingZeroPair = null;
+            this.requestRender();
         }
+        document.getElementById('zero-pair-prompt').classList.add('hidden');
     }
 
-    snapToNeighbors(tile) {
-        const snapDist = 15;
-        let snapped = false;
+    /**
+     * Adds a positive and a negative tile of the same type side by side, e.g. to
+     * supply the x tiles a rectangle needs when they cancel out in the equation.
+     */
+    addZeroPair(type) {
+        const gap = TILE_CONFIG.GAP;
+        const view = this.getViewRect();
+        const pos = new Tile(type, view.x + 50, view.y + 50, false);
+        const neg = new Tile(type, view.x + 50, view.y + 50, true);
+
+        // Drop the pair just right of everything on the board, wrapping below if it won't fit
+        if (this.tiles.length > 0) {
+            const right = Math.max(...this.tiles.map(t => t.x + t.w));
+            const top = Math.min(...this.tiles.map(t => t.y));
+            if (right + 2 * gap + pos.w * 2 + gap <= view.x + view.w) {
+                pos.x = right + 2 * gap;
+                pos.y = top;
+            } else {
+                pos.y = Math.max(...this.tiles.map(t => t.y + t.h)) + 2 * gap;
+            }
+        }
 
-        // Sort tiles to snap to larger/base tiles first (stability)
-        // actually existing order is fine
+        neg.x = pos.x + pos.w + gap;
+        neg.y = pos.y;
 
-        for (const other of this.tiles) {
-            if (other === tile) continue;
+        this.recordHistory();
+        this.tiles.push(pos, neg);
+        this.requestRender();
+        this.checkSolution();
+    }
 
-            const tL = tile.x;
-            const tR = tile.x + tile.w;
-            const tT = tile.y;
-            const tB = tile.y + tile.h;
+    validateArrangement(silent = false) {
+        this.setDimensions(null);
 
-            const oL = other.x;
-            const oR = other.x + other.w;
-            const oT = other.y;
-            const oB = other.y + other.h;
+        // The mat is checked for balance rather than for a rectangle
+        if (this.mode === 'equation') return this.checkMat(silent);
+        if (this.mode === 'square') return this.checkSquare(silent);
+        if (this.mode === 'divide') return this.checkDivision(silent);
 
-            // --- Outer Snapping ---
-            // 1. Right of 'other'
-            if (Math.abs(tL - oR) < snapDist) {
-                if (Math.abs(tT - oT) < snapDist) { tile.x = oR; tile.y = oT; snapped = true; }
-                else if (Math.abs(tB - oB) < snapDist) { tile.x = oR; tile.y = oB - tile.h; snapped = true; }
-            }
-            // 2. Left of 'other'
-            if (!snapped && Math.abs(tR - oL) < snapDist) {
-                if (Math.abs(tT - oT) < snapDist) { tile.x = oL - tile.w; tile.y = oT; snapped = true; }
-                else if (Math.abs(tB - oB) < snapDist) { tile.x = oL - tile.w; tile.y = oB - tile.h; snapped = true; }
-            }
-            // 3. Bottom of 'other'
-            if (!snapped && Math.abs(tT - oB) < snapDist) {
-                if (Math.abs(tL - oL) < snapDist) { tile.y = oB; tile.x = oL; snapped = true; }
-                else if (Math.abs(tR - oR) < snapDist) { tile.y = oB; tile.x = oR - tile.w; snapped = true; }
-            }
-            // 4. Top of 'other'
-            if (!snapped && Math.abs(tB - oT) < snapDist) {
-                if (Math.abs(tL - oL) < snapDist) { tile.y = oT - tile.h; tile.x = oL; snapped = true; }
-                else if (Math.abs(tR - oR) < snapDist) { tile.y = oT - tile.h; tile.x = oR - tile.w; snapped = true; }
-            }
+        if (this.tiles.length === 0) {
+            if (!silent) this.showFeedback("No tiles to check!", false);
+            return false;
+        }
 
-            // --- Inner Snapping (Overlap Support) ---
-            if (!snapped) {
-                // Left-Left Align
-                if (Math.abs(tL - oL) < snapDist) {
-                    if (Math.abs(tT - oT) < snapDist) { tile.x = oL; tile.y = oT; snapped = true; }
-                    else if (Math.abs(tB - oB) < snapDist) { tile.x = oL; tile.y = oB - tile.h; snapped = true; }
-                    // Also snap stacked vertical bars
-                    else if (Math.abs(tT - oB) < snapDist) { tile.x = oL; tile.y = oB; snapped = true; } // Stack down
-                    else if (Math.abs(tB - oT) < snapDist) { tile.x = oL; tile.y = oT - tile.h; snapped = true; } // Stack up
-                }
+        const target = this.getTargetPolynomial();
+        const result = this.analyzeArrangement(this.tiles);
+
+        if (!result.valid) {
+            if (!silent) this.showFeedback(this.getArrangementMessage(result.reason), false);
+            return false;
+        }
 
-                // Top-Top Align
-                if (!snapped && Math.abs(tT - oT) < snapDist) {
-                    if (Math.abs(tL - oL) < snapDist) { tile.x = oL; tile.y = oT; snapped = true; }
-                    else if (Math.abs(tR - oR) < snapDist) { tile.x = oR - tile.w; tile.y = oT; snapped = true; }
-                    // Stacked horizontal bars
-                    else if (Math.abs(tL - oR) < snapDist) { tile.x = oR; tile.y = oT; snapped = true; }
-                    else if (Math.abs(tR - oL) < snapDist) { tile.x = oL - tile.w; tile.y = oT; snapped = true; }
+        // Expand sign * (w.x x + w.y y + w.c)(h.x x + h.y y + h.c)
+        const { width: w, height: h, sign } = result;
+        const product = this.expandProduct(w, h);
+        const area = Object.fromEntries(Object.entries(product).map(([key, value]) => [key, sign * value]));
+
+        const factored = `${sign < 0 ? '−' : ''}(${this.formatSide(w)})(${this.formatSide(h)})`;
+
+        if (this.mode === 'multiply' && this.frame) {
+            // The sides themselves must be the frame's factors, not just any pair with the same product
+            const [f1, f2] = this.factorSides(this.frame.factors);
+            const matches = (side, form) => side.x === form.x && side.y === form.y && side.c === form.c;
+            const fits = sign > 0 && ((matches(w, f1) && matches(h, f2)) || (matches(w, f2) && matches(h, f1)));
+            if (!fits) {
+                if (!silent) {
+                    this.showFeedback(`Your rectangle is ${factored}, but the frame asks for ` +
+                        `(${this.formatSide(f1)})(${this.formatSide(f2)}).`, false);
                 }
+                return false;
             }
-
-            if (snapped) break;
         }
-    }
 
-    validateArrangement(silent = false) {
-        if (this.tiles.length === 0) {
-            if (!silent) this.showFeedback("No tiles to check!", false);
-            return;
+        if (!this.samePolynomial(area, target)) {
+            if (!silent) {
+                this.showFeedback(`That rectangle is ${factored} = ${this.formatPolynomial(area)}, ` +
+                    `not ${this.formatPolynomial(target)}.`, false);
+            }
+            return false;
         }
 
-        // Get Input Coefficients
-        const valA = parseInt(document.getElementById('coeff-a').value) || 0;
-        const valB = parseInt(document.getElementById('coeff-b').value) || 0;
-        const valC = parseInt(document.getElementById('coeff-c').value) || 0;
+        this.setDimensions({ ...result, factored });
 
-        // Calculate Bounding Box
-        let minX = Infinity, minY = Infinity;
-        let maxX = -Infinity, maxY = -Infinity;
-        let totalTileArea = 0;
-        let hasNegative = false;
+        if (!silent) this.showFeedback(`Great job! You formed a perfect rectangle: ${factored}.`, true);
+        return true;
+    }
 
-        let positiveTiles = [];
-        let negativeTiles = [];
+    getArrangementMessage(reason) {
+        const messages = {
+            disconnected: "All the tiles need to join up into one rectangle.",
+            coincidence: "Some edges only line up by coincidence. An x tile isn't a whole number of units long.",
+            gap: "There's a gap in your rectangle.",
+            overlap: "Some tiles overlap without cancelling each other out.",
+            cancelled: "Everything cancels out, so there's no rectangle left.",
+            shape: "Not a valid rectangle or correct solution."
+        };
+        return messages[reason];
+    }
 
-        for (const t of this.tiles) {
-            minX = Math.min(minX, t.x);
-            minY = Math.min(minY, t.y);
-            maxX = Math.max(maxX, t.x + t.w);
-            maxY = Math.max(maxY, t.y + t.h);
-            totalTileArea += t.w * t.h; // Physical area (always positive)
-
-            if (t.isNegative) {
-                hasNegative = true;
-                negativeTiles.push(t);
-            } else {
-                positiveTiles.push(t);
-            }
+    /**
+     * Stores the side lengths of a valid rectangle (or null) for the dimension
+     * labels on the canvas and the factored form in the equation display.
+     */
+    setDimensions(dimensions) {
+        const previous = this.dimensions ? this.dimensions.factored : null;
+        this.dimensions = dimensions;
+        this.requestRender();
+
+        if (previous !== (dimensions ? dimensions.factored : null)) {
+            this.updateEquationDisplay();
+            if (dimensions) this.announce(`Rectangle complete: ${dimensions.factored}`);
         }
+    }
 
-        const bboxWidth = maxX - minX;
-        const bboxHeight = maxY - minY;
-        const bboxArea = bboxWidth * bboxHeight;
+    /**
+     * Draws dimension brackets along the top and left edges of the rectangle,
+     * labelled with its side lengths (or blanks to fill in).
+     */
+    drawDimensions(ctx, { bounds, width, height }, blank = false) {
+        const offset = 16;
+        const tick = 6;
+        const { x, y, w, h } = bounds;
 
-        // --- Standard Positive Model ---
-        // If no negatives, strict area match.
-        if (!hasNegative) {
-            // Tolerance for gaps
-            if (Math.abs(bboxArea - totalTileArea) < 200) {
-                if (!silent) this.showFeedback("Great job! You formed a perfect rectangle.", true);
-                return;
-            }
-        }
+        ctx.save();
+        ctx.strokeStyle = TILE_CONFIG.COLORS.ink;
+        ctx.fillStyle = TILE_CONFIG.COLORS.ink;
+        ctx.globalAlpha = 0.85;
+        ctx.lineWidth = 1.5;
+        ctx.font = '16px Outfit';
+
+        // Top bracket
+        const top = y - offset;
+        ctx.beginPath();
+        ctx.moveTo(x, top + tick);
+        ctx.lineTo(x, top);
+        ctx.lineTo(x + w, top);
+        ctx.lineTo(x + w, top + tick);
+        ctx.stroke();
 
-        // --- Negative Overlap / Slicing Model ---
-        if (hasNegative && positiveTiles.length > 0) {
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(blank ? '______' : this.formatSide(width), x + w / 2, top - 4);
+
+        // Left bracket
+        const left = x - offset;
+        ctx.beginPath();
+        ctx.moveTo(left + tick, y);
+        ctx.lineTo(left, y);
+        ctx.lineTo(left, y + h);
+        ctx.lineTo(left + tick, y + h);
+        ctx.stroke();
+
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(blank ? '______' : this.formatSide(height), left - 6, y + h / 2);
 
-            // 1. Calculate Base Area from ALL POSITIVE TILES
-            // In a correct construction, positive tiles form the bounding box.
-            let baseArea = 0;
-            positiveTiles.forEach(t => baseArea += t.w * t.h);
+        ctx.restore();
+    }
 
-            // 2. Base Integrity Check
-            // The positive tiles should roughly fill the bounding box.
-            if (Math.abs(bboxArea - baseArea) < 200) {
+    /**
+     * Groups tile edges within a quarter unit into grid lines, across and down.
+     * Each line gets its algebraic positions, nearest first and a few at most,
+     * by walking tile spans from the first line of its connected group, which
+     * is its root and sits at { x: 0, y: 0, c: 0 }.
+     */
+    mapGridLines(tiles) {
+        const tol = TILE_CONFIG.SIZES.u / 4;
+
+        // Line positions and each tile's span
+        const buildLines = (edges) => {
+            const entries = [];
+            tiles.forEach((t, i) => {
+                const [start, end] = edges(t);
+                entries.push({ value: start, tile: i, side: 0 }, { value: end, tile: i, side: 1 });
+            });
+            entries.sort((e1, e2) => e1.value - e2.value);
+
+            const lines = [];
+            const spans = tiles.map(() => [0, 0]);
+            let last = -Infinity;
+            for (const entry of entries) {
+                if (entry.value - last > tol) lines.push(entry.value);
+                last = entry.value;
+                spans[entry.tile][entry.side] = lines.length - 1;
+            }
+            return { lines, spans };
+        };
 
-                const X_SIZE = TILE_CONFIG.SIZES.x;
-                const U_SIZE = TILE_CONFIG.SIZES.u;
+        const add = (p1, p2, k) => ({ x: p1.x + k * p2.x, y: p1.y + k * p2.y, c: p1.c + k * p2.c });
+        const same = (p1, p2) => p1.x === p2.x && p1.y === p2.y && p1.c === p2.c;
+
+        const solveCoords = ({ lines, spans }, lengths) => {
+            const coords = lines.map(() => []);
+            const roots = lines.map(() => -1);
+
+            for (let root = 0; root < lines.length; root++) {
+                if (roots[root] !== -1) continue;
+                roots[root] = root;
+                coords[root].push({ x: 0, y: 0, c: 0 });
+                const queue = [root];
+
+                while (queue.length > 0) {
+                    const line = queue.shift();
+                    for (let i = 0; i < spans.length; i++) {
+                        const [start, end] = spans[i];
+                        let next, k;
+                        if (start === line) {
+                            next = end;
+                            k = 1;
+                        } else if (end === line) {
+                            next = start;
+                            k = -1;
+                        } else {
+                            continue;
+                        }
 
-                // Let's deduce base dimensions in terms of x and 1
-                const getGridDimensions = (pixels) => {
-                    let bestErr = Infinity;
-                    let bestA = 0, bestB = 0;
-                    for (let a = 1; a <= 5; a++) {
-                        for (let b = 0; b <= 10; b++) {
-                            const est = a * X_SIZE + b * U_SIZE;
-                            const err = Math.abs(est - pixels);
-                            if (err < bestErr) { bestErr = err; bestA = a; bestB = b; }
+                        for (const coord of coords[line]) {
+                            const pos = add(coord, lengths[i], k);
+                            if (coords[next].length < 4 && !coords[next].some(other => same(other, pos))) {
+                                coords[next].push(pos);
+                                roots[next] = root;
+                                queue.push(next);
+                            }
                         }
                     }
-                    if (bestErr < 30) return [bestA, bestB];
-                    return [0, 0];
-                };
+                }
+            }
+            return { lines, spans, coords, roots };
+        };
+
+        const sizes = tiles.map(t => t.getAlgebraicSize());
+        return {
+            cols: solveCoords(buildLines(t => [t.x, t.x + t.w]), sizes.map(size => size.w)),
+            rows: solveCoords(buildLines(t => [t.y, t.y + t.h]), sizes.map(size => size.h))
+        };
+    }
 
-                const [baseX_A, base1_A] = getGridDimensions(bboxWidth);
-                const [baseX_B, base1_B] = getGridDimensions(bboxHeight);
+    /**
+     * Maps the tiles onto an exact x/y/unit grid and reads off the rectangle they form.
+     *
+     * Tile edges that line up become grid lines. Every line gets an algebraic
+     * position { x, y, c } (meaning x * x + y * y + c) by walking across tiles from the left
+     * or top edge. Lines that only meet at this x length, like 2x − 8 and x when x is
+     * 8 units, are reached with different positions and keep them all.
+     * Each grid cell then sums the signs of the tiles covering it: a valid
+     * arrangement has no uncovered cells, and the cells that don't cancel out
+     * form one rectangle of the same sign (the slicing model). Its sides are the
+     * positions whose product is the tiles' total, so a rectangle that only
+     * closes by coincidence is caught.
+     *
+     * Returns { valid: true, sign, width, height, bounds } or { valid: false, reason }.
+     */
+    analyzeArrangement(tiles) {
+        const { cols, rows } = this.mapGridLines(tiles);
+        const colCoords = cols.coords;
+        const rowCoords = rows.coords;
+
+        // Coverage and signed sum per cell
+        const colCount = cols.lines.length - 1;
+        const rowCount = rows.lines.length - 1;
+        const cover = Array.from({ length: colCount }, () => new Array(rowCount).fill(0));
+        const net = Array.from({ length: colCount }, () => new Array(rowCount).fill(0));
+
+        tiles.forEach((t, i) => {
+            const [left, right] = cols.spans[i];
+            const [top, bottom] = rows.spans[i];
+            for (let col = left; col < right; col++) {
+                for (let row = top; row < bottom; row++) {
+                    cover[col][row]++;
+                    net[col][row] += t.isNegative ? -1 : 1;
+                }
+            }
+        });
 
-                // Now, measure negative cuts.
-                // We assume clean cuts: Final Factors = (baseW - p)(baseH - q)
-                // We check small integer p, q.
+        let sign = 0;
+        let minCol = Infinity, maxCol = -Infinity, minRow = Infinity, maxRow = -Infinity;
 
-                for (let p = 0; p <= 5; p++) {
-                    for (let q = 0; q <= 5; q++) {
-                        if (p === 0 && q === 0) continue;
+        for (let col = 0; col < colCount; col++) {
+            for (let row = 0; row < rowCount; row++) {
+                if (cover[col][row] === 0) return { valid: false, reason: 'gap' };
 
-                        // Proposed Factors
-                        const f1_x = baseX_A;
-                        const f1_c = base1_A - p;
+                const value = net[col][row];
+                if (value === 0) continue;
+                if (Math.abs(value) > 1 || (sign !== 0 && value !== sign)) {
+                    return { valid: false, reason: 'overlap' };
+                }
 
-                        const f2_x = baseX_B;
-                        const f2_c = base1_B - q;
+                sign = value;
+                minCol = Math.min(minCol, col);
+                maxCol = Math.max(maxCol, col);
+                minRow = Math.min(minRow, row);
+                maxRow = Math.max(maxRow, row);
+            }
+        }
 
-                        // Expand: (f1_x X + f1_c)(f2_x X + f2_c)
-                        const resA = f1_x * f2_x;
-                        const resB = (f1_x * f2_c) + (f1_c * f2_x);
-                        const resC = f1_c * f2_c;
+        if (sign === 0) return { valid: false, reason: 'cancelled' };
 
-                        if (resA === valA && resB === valB && resC === valC) {
-                            // Mathematical match found! 
-                            // Verify Area match (Expected vs Actual Negative Area)
-                            // Expected Removed Area = Area(Before cuts) - Area(After cuts)
-                            // But doing simple p*Area + q*Area - overlap is easier.
+        // The cells that don't cancel must fill their own bounding box
+        for (let col = minCol; col <= maxCol; col++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                if (net[col][row] === 0) return { valid: false, reason: 'shape' };
+            }
+        }
 
-                            const expectedNegArea = (p * U_SIZE * bboxHeight) + (q * U_SIZE * bboxWidth) - (p * q * U_SIZE * U_SIZE);
+        // Overlapping or off-grid tiles leave lines the walk can't reach as
+        // well, but the cells above have already said what is wrong with them
+        if (cols.roots.some(root => root !== 0) || rows.roots.some(root => root !== 0)) {
+            return { valid: false, reason: 'disconnected' };
+        }
 
-                            // Measure actual negative tile area
-                            let actualNegArea = 0;
-                            negativeTiles.forEach(t => actualNegArea += t.w * t.h);
+        const diff = (p1, p2) => ({ x: p2.x - p1.x, y: p2.y - p1.y, c: p2.c - p1.c });
+        const lengths = (coords, first, last) => coords[first].flatMap(p1 => coords[last].map(p2 => diff(p1, p2)));
+        const total = this.getBoardTotal(tiles);
+        const area = Object.fromEntries(Object.entries(total).map(([key, value]) => [key, sign * value]));
+        const sides = lengths(colCoords, minCol, maxCol + 1)
+            .flatMap(w => lengths(rowCoords, minRow, maxRow + 1).map(h => [w, h]))
+            .find(([w, h]) => this.samePolynomial(this.expandProduct(w, h), area));
+        if (!sides) return { valid: false, reason: 'coincidence' };
+        let [width, height] = sides;
+
+        // A negative rectangle with a negated side, like −(10 − x)(x + 1), reads as (x − 10)(x + 1)
+        const leading = (form) => [form.x, form.y, form.c].find(k => k !== 0);
+        const negate = (form) => ({ x: -form.x, y: -form.y, c: -form.c });
+        if (sign < 0 && leading(width) < 0) {
+            width = negate(width);
+            sign = 1;
+        } else if (sign < 0 && leading(height) < 0) {
+            height = negate(height);
+            sign = 1;
+        }
 
-                            // Allow some slop
-                            if (Math.abs(expectedNegArea - actualNegArea) < 200) {
-                                if (!silent) this.showFeedback("Valid Overlap Arrangement! Result area matches the equation.", true);
-                                return;
-                            }
-                        }
-                    }
-                }
+        return {
+            valid: true,
+            sign,
+            width,
+            height,
+            bounds: {
+                x: cols.lines[minCol],
+                y: rows.lines[minRow],
+                w: cols.lines[maxCol + 1] - cols.lines[minCol],
+                h: rows.lines[maxRow + 1] - rows.lines[minRow]
             }
-        }
+        };
+    }
 
-        if (!silent) this.showFeedback("Not a valid rectangle or correct solution.", false);
+    /**
+     * Net tile counts as quadratic coefficients.
+     */
+    getBoardTotal(tiles) {
+        const total = { a: 0, b: 0, c: 0, xy: 0, y2: 0, y: 0 };
+        const keys = { x2: 'a', x: 'b', one: 'c', xy: 'xy', y2: 'y2', y: 'y' };
+        for (const t of tiles) {
+            total[keys[t.type]] += t.isNegative ? -1 : 1;
+        }
+        return total;
     }
 
     checkSolution() {
         // Just updates readout now
         const readout = document.getElementById('area-readout');
 
-        // Calculate total area
-        let totalArea = 0;
-        let x2Count = 0;
-        let xCount = 0;
-        let oneCount = 0;
+        // Hint marks describe the board as it was when the hint was given
+        this.hintMarks = null;
 
-        for (const t of this.tiles) {
-            if (t.type === 'x2') x2Count += (t.isNegative ? -1 : 1);
-            if (t.type === 'x') xCount += (t.isNegative ? -1 : 1);
-            if (t.type === 'one') oneCount += (t.isNegative ? -1 : 1);
+        // Calculate total area
+        const total = this.getBoardTotal(this.tiles);
+        const { a: x2Count, b: xCount, c: oneCount } = total;
+
+        // Keeps the dimension labels in step with the board
+        this.validateArrangement(true);
+        this.saveWorkspace();
+
+        if (this.mode === 'equation') {
+            readout.innerHTML = this.getMatReadout();
+        } else if (this.division && this.division.result) {
+            const { quotient, remainder } = this.division.result;
+            readout.innerHTML = `Quotient: $${this.toTeX(this.formatSide(quotient))}$, ` +
+                `Remainder: $${this.toTeX(this.formatPolynomial(remainder))}$`;
+        } else if (this.square && this.square.vertex) {
+            readout.innerHTML = `Vertex form: $${this.toTeX(this.square.vertex)}$`;
+        } else if (this.mode === 'multiply' && this.dimensions) {
+            // A filled frame reads out as the expanded product
+            readout.innerHTML = `Product: $${this.toTeX(this.formatPolynomial(total))}$`;
+        } else if (this.hasYTerms(total) || this.hasYTerms(this.getTargetPolynomial())) {
+            // Format: ax^2 + bxy + cy^2 + dx + ey + f
+            readout.innerHTML = `Current: $${x2Count}x^2 + ${total.xy}xy + ${total.y2}y^2 + ` +
+                `${xCount}x + ${total.y}y + ${oneCount}$`;
+        } else {
+            // We can just display the counts for now
+            // Format: ax^2 + bx + c
+            readout.innerHTML = `Current: $${x2Count}x^2 + ${xCount}x + ${oneCount}$`;
         }
 
-        // We can just display the counts for now
-        // Format: ax^2 + bx + c
-        readout.innerHTML = `Current: $${x2Count}x^2 + ${xCount}x + ${oneCount}$`;
+        // The mat's tiles stand for an equation, not an area
+        if (this.mode !== 'equation') {
+            readout.innerHTML += ` <span class="readout-area">${this.getNumericArea(total)}</span>`;
+        }
 
         // Re-render MathJax if needed
         if (window.MathJax) {
             MathJax.typesetPromise([readout]);
         }
+
+        const spoken = `Board total: ${this.formatPolynomial(total)}`;
+        if (spoken !== this.lastSpokenReadout) {
+            this.lastSpokenReadout = spoken;
+            this.announce(spoken);
+        }
     }
 
     handleDoubleClick(e) {
         const { x, y } = this.getMousePos(e);
         for (let i = this.tiles.length - 1; i >= 0; i--) {
             if (this.tiles[i].contains(x, y)) {
+                // Double clicking a member of a group turns the whole group
+                if (this.tiles[i].isSelected && this.getSelection().length > 1) {
+                    this.rotateSelection();
+                    return;
+                }
+
+                if (this.tiles[i].canRotate()) this.recordHistory();
                 this.tiles[i].rotate();
                 this.requestRender();
+                this.checkSolution();
                 return;
             }
         }
     }
 
+    /**
+     * The board's area in unit squares with x (and y) as long as their tiles,
+     * e.g. "Area at x = 5.5: 47.25".
+     */
+    getNumericArea(total) {
+        const round = (value) => Math.round(value * 100) / 100;
+        const x = this.getXLength();
+        const y = TILE_CONFIG.SIZES.y / TILE_CONFIG.SIZES.u;
+        const area = total.a * x * x + total.b * x + total.c +
+            total.xy * x * y + total.y2 * y * y + total.y * y;
+
+        const at = this.hasYTerms(total) ? `x = ${round(x)}, y = ${round(y)}` : `x = ${round(x)}`;
+        return `Area at $${at}$: ${round(area)}`;
+    }
+
+    /**
+     * x length: how long x is in unit lengths. Rectangles built from real
+     * factors stay rectangles at any length; ones that only close because x
+     * came out a whole number of units fall apart when it changes.
+     */
+    getXLength() {
+        return TILE_CONFIG.SIZES.x / TILE_CONFIG.SIZES.u;
+    }
+
+    setXLength(value) {
+        const length = Math.min(MAX_X_LENGTH, Math.max(MIN_X_LENGTH, isFinite(value) ? value : this.getXLength()));
+        const size = Math.round(length * TILE_CONFIG.SIZES.u * 1000) / 1000;
+        document.getElementById('x-length').value = length;
+        document.getElementById('x-value').value = length;
+        if (size === TILE_CONFIG.SIZES.x) return;
+
+        // Frames, squares and divisors are built at the new length first, and a
+        // length one of them can't be drawn at is refused before anything moves
+        const oldSize = TILE_CONFIG.SIZES.x;
+        TILE_CONFIG.SIZES.x = size;
+        const frame = this.frame && this.buildFrame(this.frame.factors);
+        const square = this.square &&
+            this.buildSquare({ a: this.square.a, b: 2 * this.square.a * this.square.h, c: 0 });
+        const division = this.division && this.buildDivision(this.division.divisor);
+        TILE_CONFIG.SIZES.x = oldSize;
+
+        const refused = [[this.frame, frame, 'frame'], [this.square, square, 'square'], [this.division, division, 'divisor']]
+            .find(([old, built]) => old && !built);
+        if (refused) {
+            document.getElementById('x-length').value = this.getXLength();
+            document.getElementById('x-value').value = this.getXLength();
+            this.showFeedback(`The ${refused[2]} can't be drawn at an x length of ${length}. Try another x length.`, false);
+            return;
+        }
+
+        // Finish any animation so every tile is where it is going
+        if (this.isAnimating) {
+            this.tiles.forEach(t => {
+                if (t.targetX !== undefined) t.x = t.targetX;
+                if (t.targetY !== undefined) t.y = t.targetY;
+            });
+            this.isAnimating = false;
+        }
+        this.closeGuide();
+        this.dismissZeroPair();
+        this.snapPreview = null;
+
+        // Undo and redo boards are reflowed too, so going back still lines up.
+        // Tiles still waiting in a tray are laid out again rather than reflowed
+        const undoCount = this.undoStack.length;
+        const boards = [
+            { tiles: this.tiles, tray: this.tray },
+            ...[...this.undoStack, ...this.redoStack].map(entry =>
+                ({ tiles: entry.tiles.map(data => Tile.fromData(data)), tray: entry.tray }))
+        ];
+        boards.forEach(board => {
+            board.trayed = board.tray ? this.findTrayTiles(board.tiles, board.tray) : new Map();
+            board.loose = board.tiles.filter(t => !board.trayed.has(t));
+        });
+
+        TILE_CONFIG.SIZES.x = size;
+        boards.forEach(board => {
+            this.reflowTiles(board.loose);
+            if (!board.tray) return;
+
+            const slots = board.tray.slots.map(slot => Tile.fromData(slot));
+            board.tray = this.layoutTray(slots, board.tray.view);
+            board.trayed.forEach((i, t) => {
+                t.xSize = size;
+                t.updateDimensions();
+                t.x = slots[i].x;
+                t.y = slots[i].y;
+            });
+        });
+        this.tray = boards[0].tray;
+        const entries = boards.slice(1).map(board => ({ tiles: board.tiles.map(t => t.serialize()), tray: board.tray }));
+        this.undoStack = entries.slice(0, undoCount);
+        this.redoStack = entries.slice(undoCount);
+
+        // Frames, squares and divisors go where the old ones were
+        const rebuild = (old, built) => {
+            const dx = old.x - built.x;
+            const dy = old.y - built.y;
+            (built.tiles || []).concat(built.ghosts || []).forEach(t => {
+                t.x += dx;
+                t.y += dy;
+            });
+            built.x = old.x;
+            built.y = old.y;
+            return built;
+        };
+        if (this.frame) this.frame = rebuild(this.frame, frame);
+        if (this.square) this.square = { ...rebuild(this.square, square), vertex: this.square.vertex };
+        if (this.division) this.division = { ...rebuild(this.division, division), result: this.division.result };
+
+        this.requestRender();
+        this.checkSolution();
+    }
+
+    /**
+     * Resizes tiles to the current x length and moves them so that edges which
+     * met still meet. Each grid line keeps its algebraic position, like x − 1,
+     * measured from the first line of its group, which stays put; a tile off
+     * its line by less than the line tolerance stays off it by as much. Tiles
+     * that only lined up by coincidence come apart.
+     */
+    reflowTiles(tiles) {
+        const { SIZES } = TILE_CONFIG;
+        const { cols, rows } = this.mapGridLines(tiles);
+        // The nearest of a line's positions is the one its group is built from
+        const place = ({ lines, coords, roots }) => coords.map(([coord], i) =>
+            lines[roots[i]] + coord.x * SIZES.x + coord.y * SIZES.y + coord.c * SIZES.u);
+        const colLines = place(cols);
+        const rowLines = place(rows);
+
+        tiles.forEach((t, i) => {
+            const col = cols.spans[i][0];
+            const row = rows.spans[i][0];
+            t.x = colLines[col] + t.x - cols.lines[col];
+            t.y = rowLines[row] + t.y - rows.lines[row];
+            t.xSize = SIZES.x;
+            t.updateDimensions();
+        });
+    }
+
+    /**
+     * The pointer position in world coordinates, which tiles live in.
+     */
     getMousePos(e) {
         const rect = this.canvas.getBoundingClientRect();
-        return {
-            x: e.clientX - rect.left,
-            y: e.clientY - rect.top
-        };
+        return this.screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
+    }
+
+    /**
+     * View: tiles live in an unbounded world that the canvas looks at through
+     * a pan offset and a zoom scale, on top of the screen size's render scale.
+     */
+    getScale() {
+        return this.view.scale * TILE_CONFIG.SCALE;
+    }
+
+    screenToWorld(x, y) {
+        const { offsetX, offsetY } = this.view;
+        const scale = this.getScale();
+        return { x: (x - offsetX) / scale, y: (y - offsetY) / scale };
+    }
+
+    /**
+     * The part of the world the canvas currently shows.
+     */
+    getViewRect() {
+        const { x, y } = this.screenToWorld(0, 0);
+        return { x, y, w: this.canvas.width / this.getScale(), h: this.canvas.height / this.getScale() };
+    }
+
+    getViewCenter() {
+        const view = this.getViewRect();
+        return { x: view.x + view.w / 2, y: view.y + view.h / 2 };
+    }
+
+    setView(scale, offsetX, offsetY) {
+        this.view = { scale, offsetX, offsetY };
+
+        // The background grid moves with the world
+        const workspace = this.canvas.parentElement;
+        const grid = 20 * this.getScale();
+        workspace.style.backgroundSize = `${grid}px ${grid}px`;
+        workspace.style.backgroundPosition = `${offsetX}px ${offsetY}px`;
+        this.requestRender();
+    }
+
+    /**
+     * Zooms by `factor`, keeping the world point under the screen point (x, y) still.
+     */
+    zoomAt(x, y, factor) {
+        const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, this.view.scale * factor));
+        const world = this.screenToWorld(x, y);
+        const pixels = scale * TILE_CONFIG.SCALE;
+        this.setView(scale, x - world.x * pixels, y - world.y * pixels);
+    }
+
+    handleWheel(e) {
+        e.preventDefault();
+        const rect = this.canvas.getBoundingClientRect();
+        this.zoomAt(e.clientX - rect.left, e.clientY - rect.top, Math.exp(-e.deltaY * 0.0015));
+    }
+
+    /**
+     * Zooms and pans so every tile (and any frame or divisor) is in view.
+     * An empty board goes back to the starting view.
+     */
+    fitToContent() {
+        const content = [
+            ...this.tiles,
+            ...(this.frame ? this.frame.tiles : []),
+            ...(this.division ? this.division.tiles : [])
+        ];
+        if (content.length === 0) {
+            this.setView(1, 0, 0);
+            return;
+        }
+
+        const margin = 40;
+        const bounds = this.getBounds(content);
+        const fit = Math.min(
+            (this.canvas.width - 2 * margin) / bounds.w,
+            (this.canvas.height - 2 * margin) / bounds.h
+        ) / TILE_CONFIG.SCALE;
+        const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.min(fit, 1.5)));
+        const pixels = scale * TILE_CONFIG.SCALE;
+        this.setView(scale,
+            this.canvas.width / 2 - (bounds.x + bounds.w / 2) * pixels,
+            this.canvas.height / 2 - (bounds.y + bounds.h / 2) * pixels);
     }
 
     requestRender() {
@@ -690,6 +4635,8 @@ class App {
     }
 
     render() {
+        let needsFrame = false;
+
         // Animation Loop Step
         if (this.isAnimating) {
             let active = false;
@@ -714,194 +4661,548 @@ class App {
             }
 
             if (active) {
-                requestAnimationFrame(this.render.bind(this));
+                needsFrame = true;
             } else {
                 this.isAnimating = false;
-                this.validateArrangement(true); // Auto-validate silently after solve
+                this.checkSolution(); // Auto-validate silently after solve
+            }
+        }
+
+        // Flip animations
+        for (const t of this.tiles) {
+            if (t.flipProgress > 0) {
+                t.flipProgress = Math.max(0, t.flipProgress - 0.08);
+                needsFrame = true;
             }
         }
 
+        if (needsFrame) requestAnimationFrame(this.render.bind(this));
+
         // Clear
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
+        // Everything below is drawn in world coordinates
+        const scale = this.getScale();
+        this.ctx.setTransform(scale, 0, 0, scale, this.view.offsetX, this.view.offsetY);
+
+        if (this.frame) this.drawFrame(this.ctx);
+        if (this.mat) this.drawMat(this.ctx);
+        if (this.square) this.drawSquareGhosts(this.ctx);
+        if (this.division) this.drawDivision(this.ctx);
+
+        if (this.tray) this.drawTray(this.ctx);
+
         // Draw tiles
         for (const tile of this.tiles) {
             tile.draw(this.ctx);
         }
+
+        if (this.hintMarks) this.drawHintMarks(this.ctx);
+        if (this.snapPreview && this.dragGroup) this.drawSnapPreview(this.ctx);
+
+        if (this.dimensions && !this.isAnimating) {
+            this.drawDimensions(this.ctx, this.dimensions);
+        }
+
+        if (this.marquee) this.drawMarquee(this.ctx);
+
+        // Focus ring only for keyboard users, like :focus-visible
+        if (this.keyboardActive && document.activeElement === this.canvas &&
+            this.tiles.includes(this.focusedTile)) {
+            this.drawFocusRing(this.ctx, this.focusedTile);
+        }
     }
     solveAndAnimate() {
-        const a = parseInt(document.getElementById('coeff-a').value) || 1;
-        const b = parseInt(document.getElementById('coeff-b').value) || 5;
-        const c = parseInt(document.getElementById('coeff-c').value) || 6;
+        this.closeGuide();
+        this.dismissZeroPair();
 
-        this.generateTiles(a, b, c);
+        // Solving a square means building it and filling the corner in one go
+        if (this.mode === 'square') {
+            if (this.setupSquare()) this.fillSquare(false);
+            return;
+        }
 
-        const [m, n] = this.getClosestFactors(a);
+        const solution = this.buildSolution();
+        if (!solution) return;
 
-        let p = 0, q = 0;
-        let found = false;
+        this.recordHistory();
+        this.tiles = solution.tiles;
+        this.tray = null;
+        this.isAnimating = true;
+        this.requestRender();
+        this.saveWorkspace();
+    }
 
-        const limit = Math.abs(c) === 0 ? Math.abs(b) : Math.abs(c);
+    /**
+     * Factors the entered quadratic and creates its tiles lined up in rows, each
+     * with targetX/targetY set to its spot in the finished rectangle.
+     * Shows feedback and returns null when no rectangle can be built.
+     */
+    buildSolution() {
+        let factors;
+
+        if (this.mode === 'equation') {
+            this.showFeedback("Solve the equation with the mat tools: do the same to both sides until x is alone.", false);
+            return null;
+        }
 
-        for (let i = -limit; i <= limit; i++) {
-            let currentP = i;
-            let currentQ;
+        if (this.mode === 'square') {
+            this.showFeedback("Press OK to build the square, then fill its corner with Add Zero Pairs.", false);
+            return null;
+        }
 
-            if (c !== 0) {
-                if (currentP === 0) continue;
-                if (c % currentP !== 0) continue;
-                currentQ = c / currentP;
-            } else {
-                if (i !== 0) continue;
-                currentP = 0;
-                if (m !== 0 && b % m === 0) currentQ = b / m;
-                else currentQ = 0;
+        if (this.mode === 'divide') return this.buildDivisionSolution();
+
+        if (this.mode === 'multiply') {
+            if (!this.frame) {
+                this.showFeedback("Press OK to set up the frame first.", false);
+                return null;
+            }
+            factors = this.frame.factors;
+        } else {
+            const coefficients = this.getCoefficients();
+
+            if (coefficients.a === 0 && !this.hasYTerms(coefficients)) {
+                this.showFeedback("Enter a non-zero x² coefficient to build a rectangle.", false);
+                return null;
             }
 
-            if ((m * currentQ) + (n * currentP) === b) {
-                p = currentP;
-                q = currentQ;
-                found = true;
-                break;
+            factors = this.factorPolynomial(coefficients);
+            if (!factors) {
+                this.showFeedback("This quadratic has no integer factorization, so it can't form a rectangle. " +
+                    "Try completing the square instead.", false);
+                return null;
             }
         }
 
-        if (!found) {
-            this.showFeedback("This equation doesn't favor nice integer rectangles!", false);
+        if (this.mode === 'practice') this.markPracticeRevealed();
+
+        const layout = this.computeFactorLayout(factors);
+        if (!layout) {
+            this.showFeedback("This rectangle can't be drawn at this x length. Try another x length.", false);
+            return null;
+        }
+
+        // Fill the frame, or center the finished rectangle on the canvas
+        const center = this.getViewCenter();
+        const startX = this.frame ? this.frame.x : center.x - layout.width / 2;
+        const startY = this.frame ? this.frame.y : center.y - layout.height / 2;
+
+        // The layout already lists tiles back to front, so it doubles as the render order
+        const tiles = layout.tiles.map(spec => {
+            const t = new Tile(spec.type, 0, 0, spec.isNegative);
+            t.rotation = spec.rotation;
+            t.updateDimensions();
+            t.targetX = startX + spec.x;
+            t.targetY = startY + spec.y;
+            return t;
+        });
+
+        this.placeInRows(tiles);
+
+        return { factors, tiles };
+    }
+
+    /**
+     * Guided Solve: builds the rectangle in phases (x^2 block, x columns,
+     * x rows, unit corner) with Next/Back controls and a narration per step.
+     */
+    startGuide() {
+        this.closeGuide();
+        this.dismissZeroPair();
+
+        if (this.mode === 'divide') {
+            this.showFeedback("Step by step covers factoring. Use Solve to see the division built.", false);
+            return;
+        }
+
+        if (!['equation', 'square'].includes(this.mode) && this.hasYTerms(this.getTargetPolynomial())) {
+            this.showFeedback("Step by step covers quadratics in x. Use Solve to see this rectangle built.", false);
             return;
         }
 
-        // Assign Targets
-        // We separate lists to control render order (z-index essentially)
-        // Usually, we want Base -> Overlaps -> Double Overlaps
-        // So: Positive x^2 -> Positive Lists -> Negative Lists -> Units (if overlap)
+        const solution = this.buildSolution();
+        if (!solution) return;
+
+        this.hideFeedback();
+        this.recordHistory();
+        this.tiles = solution.tiles;
+        this.tray = null;
+        this.tiles.forEach(t => {
+            // Remember both ends so steps can be played backwards
+            t.homeX = t.x;
+            t.homeY = t.y;
+            t.solvedX = t.targetX;
+            t.solvedY = t.targetY;
+
+            if (t.type === 'x2') t.phase = 1;
+            else if (t.type === 'one') t.phase = 4;
+            else t.phase = t.rotation === 1 ? 2 : 3; // Columns are vertical, rows horizontal
+        });
 
-        let x2List = this.tiles.filter(t => t.type === 'x2');
-        let xList = this.tiles.filter(t => t.type === 'x');
-        let oneList = this.tiles.filter(t => t.type === 'one');
+        this.guide = {
+            steps: this.getGuideSteps(solution.factors),
+            step: 0
+        };
 
-        const X = TILE_CONFIG.SIZES.x;
-        const U = TILE_CONFIG.SIZES.u;
+        document.getElementById('guide-panel').classList.remove('hidden');
+        this.showGuideStep(0);
+    }
 
-        // Base Dimensions
-        const gridW = m * X;
-        const gridH = n * X;
-
-        // Calculate Total Visual Dimensions to center it
-        // If p > 0, width adds p*U. If p < 0, width is gridW (overlap is internal).
-        // If q > 0, height adds q*U. If q < 0, height is gridH.
-
-        const totalW = p > 0 ? gridW + p * U : gridW;
-        const totalH = q > 0 ? gridH + q * U : gridH;
-
-        const startX = (this.canvas.width - totalW) / 2;
-        const startY = (this.canvas.height - totalH) / 2;
-
-        // 1. Place x^2 (Always positive base in this simplified model?)
-        // Assuming a > 0 for base geometry usually.
-        let x2Idx = 0;
-        for (let row = 0; row < n; row++) {
-            for (let col = 0; col < m; col++) {
-                if (x2Idx < x2List.length) {
-                    const t = x2List[x2Idx++];
-                    t.targetX = startX + col * t.xSize;
-                    t.targetY = startY + row * t.xSize;
-                }
+    getGuideSteps({ m, n, p, q }) {
+        const { a, b, c } = this.getTargetPolynomial();
+        const f1 = this.formatLinear(m, p);
+        const f2 = this.formatLinear(n, q);
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+        // A single signed term such as "3x", "−x" or "−2"
+        const term = (k, variable = '') => {
+            const abs = Math.abs(k);
+            return `${k < 0 ? '−' : ''}${abs === 1 && variable ? '' : abs}${variable}`;
+        };
+
+        // Parenthesize negative operands: "1 × (−2x)"
+        const operand = (text) => text.startsWith('−') ? `(${text})` : text;
+
+        // Either side may be laid out negated (see orientSide). Then it is the x²
+        // block that overlaps the strips along that side, not the other way round
+        const { cols, rows } = this.computeFactorLayout({ m, n, p, q });
+        const cutBy = (constant, leading, sign) => {
+            if (constant * sign < 0) return 'strips';
+            return leading * sign < 0 ? 'block' : null;
+        };
+
+        const sideStep = (k, count, otherX, factor, side, cut) => {
+            if (k === 0) {
+                return `The constant in (${factor}) is 0, so there are no x ${side}s.`;
+            }
+            const tileName = side === 'column' ? 'vertical x tile' : 'horizontal x tile';
+            return `${term(k)} × ${operand(term(otherX, 'x'))} = ${term(k * otherX, 'x')}. ` +
+                `Add ${plural(Math.abs(k), side)} of ${plural(count, tileName)}` +
+                (cut === 'strips' ? ', overlapping the edge of the block to cut it back.' :
+                    cut === 'block' ? '. The x² block overlaps their far end to cut them back.' : '.');
+        };
+
+        return [
+            {
+                title: 'The factors',
+                text: `${this.formatQuadratic(a, b, c)} = (${f1})(${f2}). ` +
+                    'The first factor is the width of the rectangle and the second is its height.'
+            },
+            {
+                title: 'x² block',
+                text: `The x terms multiply first: (${term(m, 'x')})(${term(n, 'x')}) = ${term(m * n, 'x²')}. ` +
+                    `Place ${plural(Math.abs(m * n), 'x² tile')} as a ${m} by ${Math.abs(n)} block.`
+            },
+            {
+                title: 'x columns',
+                text: sideStep(p, Math.abs(n), n, f1, 'column', cutBy(p, m, cols.sign))
+            },
+            {
+                title: 'x rows',
+                text: sideStep(q, m, m, f2, 'row', cutBy(q, n, rows.sign))
+            },
+            {
+                title: 'Unit corner',
+                text: (p * q === 0 ? 'With a zero constant there is no corner to fill. ' :
+                    `The constants multiply in the corner: ${term(p)} × ${operand(term(q))} = ${term(p * q)}. `) +
+                    `Altogether: ${this.formatQuadratic(m * n, m * q + n * p, p * q)}.`
             }
+        ];
+    }
+
+    showGuideStep(step) {
+        const { steps } = this.guide;
+        this.guide.step = Math.max(0, Math.min(step, steps.length - 1));
+        const current = this.guide.step;
+
+        // Tiles of every phase up to this step sit in the rectangle, the rest wait in their rows
+        this.tiles.forEach(t => {
+            const placed = t.phase <= current;
+            t.targetX = placed ? t.solvedX : t.homeX;
+            t.targetY = placed ? t.solvedY : t.homeY;
+        });
+        this.isAnimating = true;
+        this.requestRender();
+
+        document.getElementById('guide-title').textContent = steps[current].title;
+        document.getElementById('guide-text').textContent = steps[current].text;
+        document.getElementById('guide-progress').textContent = `Step ${current + 1} of ${steps.length}`;
+        document.getElementById('btn-guide-back').disabled = current === 0;
+        document.getElementById('btn-guide-next').disabled = current === steps.length - 1;
+        this.saveWorkspace();
+    }
+
+    closeGuide() {
+        this.guide = null;
+        document.getElementById('guide-panel').classList.add('hidden');
+    }
+
+    /**
+     * Formats kx + c as plain text, e.g. "2x + 3", "x − 1" or "−x".
+     */
+    formatLinear(k, c, ky = 0) {
+        return this.formatTerms([[k, 'x'], [ky, 'y'], [c, '']]);
+    }
+
+    /**
+     * Formats ax^2 + bx + c as plain text, e.g. "x² − 5x + 6". The optional
+     * y terms come between, in the usual order: x² + xy + y² + x + y + 1.
+     */
+    formatQuadratic(a, b, c, { xy = 0, y2 = 0, y = 0 } = {}) {
+        return this.formatTerms([[a, 'x²'], [xy, 'xy'], [y2, 'y²'], [b, 'x'], [y, 'y'], [c, '']]);
+    }
+
+    formatPolynomial(poly) {
+        return this.formatQuadratic(poly.a, poly.b, poly.c, poly);
+    }
+
+    /**
+     * Formats a { x, y, c } side length, e.g. "x + 2y − 1".
+     */
+    formatSide(form) {
+        return this.formatLinear(form.x, form.c, form.y || 0);
+    }
+
+    formatTerms(terms) {
+        let text = '';
+
+        for (const [coeff, variable] of terms) {
+            if (coeff === 0) continue;
+            const abs = Math.abs(coeff);
+            const body = (abs === 1 && variable) ? variable : `${abs}${variable}`;
+            if (!text) text = `${coeff < 0 ? '−' : ''}${body}`;
+            else text += coeff < 0 ? ` − ${body}` : ` + ${body}`;
         }
 
-        let xIdx = 0;
+        return text || '0';
+    }
+
+    /**
+     * Searches every integer factorization (mx + p)(nx + q) of ax^2 + bx + c.
+     * m is kept positive, so n carries the sign of a.
+     * Returns null when the quadratic has no integer factorization.
+     */
+    findFactorization(a, b, c) {
+        if (a === 0) return null;
+
+        const divisors = (num) => {
+            const list = [];
+            for (let d = 1; d <= Math.abs(num); d++) {
+                if (num % d === 0) list.push(d);
+            }
+            return list;
+        };
 
-        // 2. Vertical X (p columns) - Associated with Width
-        // If p > 0: Place to RIGHT of gridW.
-        // If p < 0: Place to RIGHT EDGE of gridW, shifting Left (Overlap).
+        // Prefer balanced splits of a, e.g. (2, 3) before (1, 6)
+        const leading = divisors(a).sort((m1, m2) =>
+            Math.abs(m1 - Math.abs(a) / m1) - Math.abs(m2 - Math.abs(a) / m2) || m1 - m2);
 
-        const pAbs = Math.abs(p);
-        const pIsNeg = p < 0;
+        // With no constant term one factor is just mx, so p = 0
+        const constants = c === 0 ? [0] : divisors(c).flatMap(d => [d, -d]);
 
-        const vStartX = pIsNeg ? (startX + gridW - pAbs * U) : (startX + gridW);
-        // If negative, we start at gridW - totalOverlap.
-        // If we have multiple columns, we tile them.
+        for (const m of leading) {
+            const n = a / m;
+            for (const p of constants) {
+                let q;
+                if (p === 0) {
+                    if (b % m !== 0) continue;
+                    q = b / m;
+                } else {
+                    q = c / p;
+                }
 
-        for (let col = 0; col < pAbs; col++) {
-            for (let row = 0; row < n; row++) {
-                if (xIdx < xList.length) {
-                    const t = xList[xIdx++];
-                    t.rotation = 1;
-                    t.updateDimensions();
-                    // Each col is U wide.
-                    t.targetX = vStartX + col * U;
-                    // n rows of height X
-                    t.targetY = startY + row * X;
+                if ((m * q) + (n * p) === b) {
+                    return { m, n, p, q };
                 }
             }
         }
 
-        // 3. Horizontal X (q rows) - Associated with Height
-        // If q > 0: Place BELOW gridH.
-        // If q < 0: Place at BOTTOM EDGE of gridH, shifting Up (Overlap).
+        return null;
+    }
 
-        const qAbs = Math.abs(q);
-        const qIsNeg = q < 0;
+    /**
+     * Factors a polynomial from getCoefficients. Quadratics in x alone go
+     * through findFactorization; anything with y terms is searched as
+     * (mx + ry + p)(nx + sy + q).
+     */
+    factorPolynomial(poly) {
+        if (!this.hasYTerms(poly)) return this.findFactorization(poly.a, poly.b, poly.c);
+        return this.findBivariateFactorization(poly);
+    }
 
-        const hStartY = qIsNeg ? (startY + gridH - qAbs * U) : (startY + gridH);
+    hasYTerms(poly) {
+        return !!(poly.xy || poly.y2 || poly.y);
+    }
 
-        for (let row = 0; row < qAbs; row++) {
-            for (let col = 0; col < m; col++) {
-                if (xIdx < xList.length) {
-                    const t = xList[xIdx++];
-                    t.rotation = 0;
-                    t.updateDimensions();
-                    // m cols of width X
-                    t.targetX = startX + col * X;
-                    // Each row is U high
-                    t.targetY = hStartY + row * U;
+    /**
+     * Brute-force search over (mx + ry + p)(nx + sy + q): each square term fixes
+     * a pair of coefficients up to its divisors, the cross terms check the rest.
+     * The first factor's leading coefficient is kept positive. Prefers a
+     * factorization that can be drawn at this x length (see computeFactorLayout).
+     */
+    findBivariateFactorization({ a, b, c, xy = 0, y2 = 0, y = 0 }) {
+        const limit = 10;
+
+        // Every (u, v) with u * v = product
+        const pairs = (product) => {
+            const list = [];
+            if (product === 0) {
+                for (let t = -limit; t <= limit; t++) {
+                    list.push([0, t]);
+                    if (t !== 0) list.push([t, 0]);
                 }
+                return list;
             }
-        }
+            for (let d = 1; d <= Math.abs(product); d++) {
+                if (product % d === 0) list.push([d, product / d], [-d, -product / d]);
+            }
+            return list;
+        };
 
-        // 4. Units (Intersection of p and q blocks)
-        // X Pos: Aligned with Vertical block.
-        // Y Pos: Aligned with Horizontal block.
+        const candidates = [];
+        for (const [m, n] of pairs(a)) {
+            for (const [r, s] of pairs(y2)) {
+                if (m * s + r * n !== xy) continue;
+                for (const [p, q] of pairs(c)) {
+                    if (m * q + p * n !== b || r * q + p * s !== y) continue;
 
-        let oneIdx = 0;
-        const uStartX = vStartX;
-        const uStartY = hStartY;
+                    // Skip constant factors and the sign-flipped duplicates
+                    if ((m === 0 && r === 0) || (n === 0 && s === 0)) continue;
+                    if ([m, r, p].find(k => k !== 0) < 0) continue;
 
-        for (let row = 0; row < qAbs; row++) {
-            for (let col = 0; col < pAbs; col++) {
-                if (oneIdx < oneList.length) {
-                    const t = oneList[oneIdx++];
-                    t.targetX = uStartX + col * U;
-                    t.targetY = uStartY + row * U;
+                    candidates.push({ m, n, p, q, r, s });
                 }
             }
         }
 
-        // Sort for render order
-        // Sort for render order (Back to Front)
-        this.tiles.sort((a, b) => {
-            const getRank = (t) => {
-                if (t.type === 'x2') return 1; // Base (Back)
-                if (t.type === 'x') return 2;  // Middle
-                if (t.type === 'one') return 3; // Top (Front)
-                return 0;
-            };
-            return getRank(a) - getRank(b);
-        });
+        return candidates.find(f => this.computeFactorLayout(f)) || candidates[0] || null;
+    }
 
-        this.isAnimating = true;
-        this.requestRender();
+    /**
+     * Expands (w.x x + w.y y + w.c)(h.x x + h.y y + h.c) into polynomial
+     * coefficients (a x² + b x + c plus xy, y2, y).
+     */
+    expandProduct(w, h) {
+        const wy = w.y || 0;
+        const hy = h.y || 0;
+        return {
+            a: w.x * h.x,
+            b: w.x * h.c + w.c * h.x,
+            c: w.c * h.c,
+            xy: w.x * hy + wy * h.x,
+            y2: wy * hy,
+            y: wy * h.c + w.c * hy
+        };
+    }
+
+    /**
+     * The two sides of a factorization { m, n, p, q, r, s } as linear forms.
+     */
+    factorSides({ m, n, p, q, r = 0, s = 0 }) {
+        return [{ x: m, y: r, c: p }, { x: n, y: s, c: q }];
+    }
+
+    /**
+     * Lays out one side of a rectangle from [{ kind: 'x' | 'y' | 'u', count }] terms.
+     * Positive terms extend the side, negative terms are cut back from its far end
+     * (the slicing model). Returns null if the cuts use up the whole side.
+     */
+    layoutSide(terms) {
+        const sizeOf = (kind) => TILE_CONFIG.SIZES[kind];
+        const cells = [];
+        let length = 0;
+
+        for (const term of terms) {
+            for (let i = 0; i < term.count; i++) {
+                cells.push({ kind: term.kind, offset: length, sign: 1 });
+                length += sizeOf(term.kind);
+            }
+        }
+
+        let cut = length;
+        for (const term of terms) {
+            for (let i = 0; i < -term.count; i++) {
+                cut -= sizeOf(term.kind);
+                cells.push({ kind: term.kind, offset: cut, sign: -1 });
+            }
+        }
+
+        if (cut <= 0) return null;
+        return { length, cells };
+    }
+
+    /**
+     * Lays out a side as written (sign 1) or negated (sign -1), trying the given
+     * way round first. A side whose cuts are longer than the rest of it, like
+     * x − 10 with a short x, only fits negated as 10 − x, with every tile along
+     * it flipped. Returns { length, cells, sign } or null.
+     */
+    orientSide(terms, sign = 1) {
+        for (const k of [sign, -sign]) {
+            const side = this.layoutSide(terms.map(term => ({ ...term, count: k * term.count })));
+            if (side) return { ...side, sign: k };
+        }
+        return null;
     }
 
-    getClosestFactors(num) {
-        num = Math.abs(num);
-        let m = Math.floor(Math.sqrt(num));
-        while (m > 0) {
-            if (num % m === 0) return [m, num / m];
-            m--;
+    /**
+     * Computes tile positions (relative to the top-left corner) for the rectangle
+     * (mx + ry + p) wide by (nx + sy + q) high (r and s default to 0). Tiles are
+     * listed back to front: Base -> Overlaps -> Double Overlaps. Returns null
+     * if a side has no length at this x length, or if the tiles wouldn't read
+     * back as this rectangle because some of their edges land too close.
+     */
+    computeFactorLayout({ m, n, p, q, r = 0, s = 0 }) {
+        // A negative leading coefficient is drawn as -(mx + p)(|n|x - q),
+        // i.e. the same rectangle with every tile flipped. Either side is also
+        // negated when its cuts don't fit (see orientSide).
+        const sign = [n, s, q].find(k => k !== 0) < 0 ? -1 : 1;
+
+        const cols = this.orientSide([{ kind: 'x', count: m }, { kind: 'y', count: r }, { kind: 'u', count: p }]);
+        const rows = this.orientSide([{ kind: 'x', count: n }, { kind: 'y', count: s }, { kind: 'u', count: q }], sign);
+        if (!cols || !rows) return null;
+
+        // Tile type for each column x row kind, and whether it stands upright
+        const types = {
+            'x,x': ['x2', 0],
+            'y,y': ['y2', 0],
+            'u,u': ['one', 0],
+            'x,u': ['x', 0],
+            'u,x': ['x', 1], // Vertical when the column is a unit wide
+            'y,u': ['y', 0],
+            'u,y': ['y', 1],
+            'x,y': ['xy', 0],
+            'y,x': ['xy', 1]
+        };
+
+        const tiles = [];
+        for (const col of cols.cells) {
+            for (const row of rows.cells) {
+                const [type, rotation] = types[`${col.kind},${row.kind}`];
+
+                tiles.push({
+                    type,
+                    rotation,
+                    isNegative: col.sign * cols.sign * row.sign * rows.sign < 0,
+                    x: col.offset,
+                    y: row.offset,
+                    depth: (col.sign < 0 ? 1 : 0) + (row.sign < 0 ? 1 : 0)
+                });
+            }
         }
-        return [1, num];
+
+        const getRank = (t) => {
+            if (t.type === 'x2' || t.type === 'y2' || t.type === 'xy') return 1; // Base (Back)
+            if (t.type === 'x' || t.type === 'y') return 2;  // Middle
+            if (t.type === 'one') return 3; // Top (Front)
+            return 0;
+        };
+        tiles.sort((t1, t2) => (t1.depth - t2.depth) || (getRank(t1) - getRank(t2)));
+
+        if (!this.analyzeArrangement(tiles.map(spec => Tile.fromData(spec))).valid) return null;
+        return { width: cols.length, height: rows.length, tiles, cols, rows };
     }
 }
 